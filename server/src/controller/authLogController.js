@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const AuthLog = require("../models/AuthLog");
+const { AUTH_EVENTS, SESSION_EVENTS } = require("../models/AuthLog");
+const RevokedToken = require("../models/RevokedToken");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ["createdAt", "email", "role", "event", "ipAddress"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Translates list/delete query parameters into a Mongo filter
+const buildFilter = (query) => {
+    const filter = {};
+
+    if (AUTH_EVENTS.includes(query.event)) filter.event = query.event;
+    if (query.role && query.role !== "all") filter.role = String(query.role);
+    if (query.user && mongoose.Types.ObjectId.isValid(query.user)) filter.user = query.user;
+
+    if (query.search && String(query.search).trim()) {
+        const pattern = new RegExp(escapeRegex(String(query.search).trim()), "i");
+        filter.$or = [{ email: pattern }, { ipAddress: pattern }, { tokenId: pattern }];
+    }
+
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+        filter.createdAt = {};
+        if (from && !isNaN(from)) filter.createdAt.$gte = from;
+        if (to && !isNaN(to)) filter.createdAt.$lte = to;
+    }
+
+    return filter;
+};
+
+const listAuthLogs = async (req, res) => {
+    try {
+        const filter = buildFilter(req.query);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const sortField = SORTABLE_FIELDS.includes(req.query.sort) ? req.query.sort : "createdAt";
+        const sortOrder = req.query.order === "asc" ? 1 : -1;
+
+        const [logs, total] = await Promise.all([
+            AuthLog.find(filter)
+                .sort({ [sortField]: sortOrder, _id: sortOrder })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate("user", "fullName email")
+                .lean(),
+            AuthLog.countDocuments(filter),
+        ]);
+
+        // A login or refresh row is live until its token expires or is revoked
+        const now = new Date();
+        const isSessionRow = (log) => SESSION_EVENTS.includes(log.event) && Boolean(log.tokenId);
+        const tokenIds = logs.filter(isSessionRow).map((log) => log.tokenId);
+        const revoked = new Set(
+            (await RevokedToken.find({ tokenId: { $in: tokenIds } }, "tokenId").lean()).map((entry) => entry.tokenId)
+        );
+        const withSessionState = logs.map((log) => ({
+            ...log,
+            active: isSessionRow(log) && log.expiresAt > now && !revoked.has(log.tokenId),
+        }));
+
+        res.json({ logs: withSessionState, total, page, pages: Math.max(Math.ceil(total / limit), 1) });
+    } catch (error) {
+        console.error("listAuthLogs error:", error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+const deleteAuthLog = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: "Log entry not found." });
+        }
+
+        const log = await AuthLog.findByIdAndDelete(req.params.id);
+        if (!log) return res.status(404).json({ message: "Log entry not found." });
+
+        res.json({ message: "Log entry deleted." });
+    } catch (error) {
+        console.error("deleteAuthLog error:", error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+// Bulk delete by the same filters as the list; refuses to wipe everything by accident
+const deleteAuthLogs = async (req, res) => {
+    try {
+        const filter = buildFilter(req.query);
+        if (Object.keys(filter).length === 0) {
+            return res.status(400).json({ message: "Provide at least one filter, e.g. ?to=<date>." });
+        }
+
+        const { deletedCount } = await AuthLog.deleteMany(filter);
+        res.json({ message: `${deletedCount} log entries deleted.`, deleted: deletedCount });
+    } catch (error) {
+        console.error("deleteAuthLogs error:", error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+module.exports = { listAuthLogs, deleteAuthLog, deleteAuthLogs };
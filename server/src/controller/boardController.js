@@ -0,0 +1,84 @@
+const User = require("../models/User");
+const { TASK_STATUSES, STATUS_LABELS, isValidStatus } = require("../utils/taskStatus");
+
+const MAX_COLUMNS = 10;
+const MAX_KEY_LENGTH = 40;
+
+// Used until the user saves a board of their own: one column per status
+const DEFAULT_COLUMNS = TASK_STATUSES.map((status) => ({ key: status, title: STATUS_LABELS[status], status, wipLimit: null }));
+
+// Returns an error message, or null when the column list is acceptable.
+// Each column shows tasks with one status from utils/taskStatus.js. Several
+// columns may share a status (say Review and QA); tasks remember which of them
+// they were dropped in, see the column field in models/Task.js.
+const validateColumns = (columns) => {
+  if (!Array.isArray(columns) || columns.length === 0) return "At least one column is required.";
+  if (columns.length > MAX_COLUMNS) return `A board can have at most ${MAX_COLUMNS} columns.`;
+
+  const keys = new Set();
+  for (const column of columns) {
+    if (!column || typeof column !== "object" || Array.isArray(column)) return "Every column must be an object.";
+    const title = typeof column.title === "string" ? column.title.trim() : "";
+    if (typeof column.key !== "string" || !column.key || !title) return "Every column needs a key and a title.";
+    if (column.key.length > MAX_KEY_LENGTH) return `Column keys must be ${MAX_KEY_LENGTH} characters or fewer.`;
+    if (title.length > 40) return "Column titles must be 40 characters or fewer.";
+    if (!isValidStatus(column.status)) return `Unknown status "${column.status}".`;
+    if (keys.has(column.key)) return "Column keys must be unique.";
+
+    const limit = column.wipLimit;
+    if (limit !== null && limit !== undefined && limit !== "" && !(Number.isInteger(Number(limit)) && Number(limit) >= 0)) {
+      return "WIP limits must be whole numbers.";
+    }
+
+    keys.add(column.key);
+  }
+  return null;
+};
+
+const getBoard = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, "boardColumns");
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    res.json({ columns: user.boardColumns && user.boardColumns.length ? user.boardColumns : DEFAULT_COLUMNS });
+  } catch (error) {
+    console.error("getBoard error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const saveBoard = async (req, res) => {
+  try {
+    const { columns } = req.body;
+    const problem = validateColumns(columns);
+    if (problem) return res.status(400).json({ message: problem });
+
+    const boardColumns = columns.map(({ key, title, status, wipLimit }) => ({
+      key,
+      title: title.trim(),
+      status,
+      // 0, blank or missing all mean "no limit"
+      wipLimit: wipLimit ? Number(wipLimit) : null,
+    }));
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { boardColumns }, { new: true, fields: "boardColumns" });
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    res.json({ columns: user.boardColumns });
+  } catch (error) {
+    console.error("saveBoard error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const resetBoard = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.userId, { $unset: { boardColumns: 1 } });
+    res.json({ columns: DEFAULT_COLUMNS });
+  } catch (error) {
+    console.error("resetBoard error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+module.exports = { getBoard, saveBoard, resetBoard };
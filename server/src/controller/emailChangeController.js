@@ -0,0 +1,115 @@
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const { emailInUse } = require("../models/User");
+const AuthLog = require("../models/AuthLog");
+const { recordAuthEvent } = require("../utils/authLog");
+const { sendTemplate, appUrl } = require("../utils/mailer");
+const { hashToken } = require("../utils/tokens");
+const { isValidEmail } = require("../utils/validation");
+require("dotenv").config();
+
+const SECRET_KEY = process.env.JWT_SECRET;
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Starts moving a user to a new email address: the address is parked in
+ * pendingEmail and a confirmation link is sent to it. Nothing changes until
+ * the link is followed, and any earlier request stops working.
+ * @param {Object} user - User document
+ * @param {string} newEmail - Requested address
+ * @returns {Promise<string|null>} A message for the client when the address can't be used
+ */
+const requestEmailChange = async (user, newEmail) => {
+  const email = String(newEmail || "").trim();
+  if (!isValidEmail(email)) return "Please enter a valid email address.";
+  if (email === user.email) return "That is already the account's email address.";
+  if (await emailInUse(email)) return "That email address is already in use.";
+
+  const token = jwt.sign({ userId: user._id, email, purpose: "change_email" }, SECRET_KEY, { expiresIn: "24h" });
+
+  user.pendingEmail = email;
+  // Only a hash is stored, like the verification token
+  user.emailChangeToken = hashToken(token);
+  user.emailChangeExpires = Date.now() + EMAIL_CHANGE_TTL_MS;
+  await user.save();
+
+  await sendTemplate(email, "emailChange", {
+    name: user.fullName,
+    email,
+    link: appUrl("/confirm-email-change", { token }),
+  });
+  return null;
+};
+
+// Self-service change from the profile page; needs the current password
+const changeEmail = async (req, res) => {
+  try {
+    const { currentPassword, newEmail } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(401).json({ message: "User no longer exists" });
+
+    if (!(await bcrypt.compare(String(currentPassword || ""), user.password))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    const problem = await requestEmailChange(user, newEmail);
+    if (problem) return res.status(400).json({ message: problem });
+
+    res.json({ message: `We sent a confirmation link to ${user.pendingEmail}. Your email changes once you follow it.` });
+  } catch (error) {
+    console.error("changeEmail error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+// Follows the link from the confirmation email and switches the address
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: "Invalid or expired token." });
+
+    const user = await User.findOne({ emailChangeToken: hashToken(String(token)), emailChangeExpires: { $gt: Date.now() } });
+    if (!user || !user.pendingEmail) return res.status(400).json({ message: "Invalid or expired token." });
+
+    const oldEmail = user.email;
+    const newEmail = user.pendingEmail;
+    // Someone may have registered the address since the link was sent
+    if (await emailInUse(newEmail, user._id)) {
+      return res.status(409).json({ message: "That email address is already in use." });
+    }
+
+    user.email = newEmail;
+    // Following the link proves the new address works
+    user.emailVerified = true;
+    user.pendingEmail = null;
+    user.emailChangeToken = null;
+    user.emailChangeExpires = null;
+    // Reset links were addressed to the old mailbox
+    user.resetToken = null;
+    user.resetTokenExpires = null;
+    await user.save();
+
+    // Tasks and sessions point at the user's id; the auth log also keeps a copy of the address
+    await AuthLog.updateMany({ user: user._id }, { email: newEmail.toLowerCase() });
+    await recordAuthEvent(req, "email_changed", { user: user._id, email: newEmail, role: user.role, reason: `from ${oldEmail}` });
+
+    // The notice is a heads-up; failing to send it doesn't undo the change
+    try {
+      await sendTemplate(oldEmail, "emailChanged", { name: user.fullName, email: newEmail, link: appUrl("/login") });
+    } catch (error) {
+      console.error("Email change notice error:", error);
+    }
+
+    res.json({ message: "Your email address has been updated.", email: newEmail });
+  } catch (error) {
+    console.error("confirmEmailChange error:", error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "That email address is already in use." });
+    }
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+module.exports = { requestEmailChange, changeEmail, confirmEmailChange };
@@ -0,0 +1,79 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { findByEmail } = require("../models/User");
+const { sendTemplate, appUrl } = require("../utils/mailer");
+const { hashToken } = require("../utils/tokens");
+require("dotenv").config();
+
+const SECRET_KEY = process.env.JWT_SECRET;
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// A new link can be requested once a minute
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Stores a hash of a fresh verification token on the user and emails them the
+ * link. Any earlier link stops working.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign({ email: user.email, purpose: "verify_email" }, SECRET_KEY, { expiresIn: "24h" });
+
+  user.verifyToken = hashToken(token);
+  user.verifyTokenExpires = Date.now() + VERIFY_TOKEN_TTL_MS;
+  await user.save();
+
+  await sendTemplate(user.email, "emailVerification", {
+    name: user.fullName,
+    link: appUrl("/verify-email", { token }),
+  });
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: "Invalid or expired token." });
+
+    // Hashing a string also keeps query operators such as { $ne: null } out of the lookup
+    const user = await User.findOne({ verifyToken: hashToken(String(token)), verifyTokenExpires: { $gt: Date.now() } });
+    if (!user) return res.status(400).json({ message: "Invalid or expired token." });
+
+    user.emailVerified = true;
+    user.verifyToken = null;
+    user.verifyTokenExpires = null;
+    await user.save();
+
+    res.json({
+      message:
+        user.approvalStatus === "pending"
+          ? "Email verified! Your account is now awaiting approval by an administrator."
+          : "Email verified! You can now log in.",
+    });
+  } catch (error) {
+    console.error("verifyEmail error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+// Answers the same way whether or not the address is registered, so it can't be used to probe for accounts
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Email is required" });
+
+    const user = await findByEmail(email);
+    if (user && !user.emailVerified) {
+      // Inside the cooldown nothing is sent, but the answer stays the same:
+      // a 429 here would only ever come back for a real, unverified account
+      const lastSent = user.verifyTokenExpires ? user.verifyTokenExpires.getTime() - VERIFY_TOKEN_TTL_MS : 0;
+      if (Date.now() - lastSent >= RESEND_INTERVAL_MS) await sendVerificationEmail(user);
+    }
+
+    res.json({ message: "If that account needs verifying, a new link has been sent." });
+  } catch (error) {
+    console.error("resendVerification error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+module.exports = { sendVerificationEmail, verifyEmail, resendVerification };
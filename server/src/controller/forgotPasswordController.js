@@ -37,22 +37,17 @@
 
 // module.exports = { forgotPassword };
 
-const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
 const User = require("../models/User"); 
+const { findByEmail } = require("../models/User");
+const { changePassword } = require("../utils/passwordPolicy");
+const { sendTemplate, appUrl } = require("../utils/mailer");
 require("dotenv").config();
 
 const SECRET_KEY = process.env.JWT_SECRET;
-
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+// One reset email per account per minute
+const RESET_EMAIL_INTERVAL_MS = 60 * 1000;
 
 // 📌 **Forgot Password Controller**
 // const forgotPassword = async (req, res) => {
@@ -111,22 +106,24 @@ const transporter = nodemailer.createTransport({
 const forgotPassword = async (req, res) => {
     try {
       const { email } = req.body;
-      const user = await User.findOne({ email });
+      const user = await findByEmail(email);
   
       if (!user) return res.status(404).json({ message: "User not found." });
+
+      const lastSent = user.resetTokenExpires ? user.resetTokenExpires.getTime() - RESET_TOKEN_TTL_MS : 0;
+      if (Date.now() - lastSent < RESET_EMAIL_INTERVAL_MS) {
+        return res.status(429).json({ message: "Please wait a minute before requesting another link." });
+      }
   
       const token = jwt.sign({ email: user.email }, SECRET_KEY, { expiresIn: "15m" });
   
       user.resetToken = token;
-      user.resetTokenExpires = Date.now() + 15 * 60 * 1000; // 15 minutes expiry
+      user.resetTokenExpires = Date.now() + RESET_TOKEN_TTL_MS;
       await user.save();
   
-      const resetLink = `http://localhost:5173/reset-password?token=${token}`;
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: user.email,
-        subject: "Reset Your Password",
-        text: `Click the link to reset your password: ${resetLink}`,
+      await sendTemplate(user.email, "passwordReset", {
+        name: user.fullName,
+        link: appUrl("/reset-password", { token }),
       });
   
       res.json({ message: "Password reset link sent to your email." });
@@ -140,12 +137,12 @@ const forgotPassword = async (req, res) => {
     try {
       const { token, password } = req.body;
   
-      const user = await User.findOne({ resetToken: token, resetTokenExpires: { $gt: Date.now() } });
+      const user = await User.findOne({ resetToken: token, resetTokenExpires: { $gt: Date.now() } }).select("+passwordHistory");
   
       if (!user) return res.status(400).json({ message: "Invalid or expired token." });
   
-      const hashedPassword = await bcrypt.hash(password, 10);
-      user.password = hashedPassword;
+      const passwordProblem = await changePassword(user, password);
+      if (passwordProblem) return res.status(400).json({ message: passwordProblem });
   
       user.resetToken = null;
       user.resetTokenExpires = null;
@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { EMAIL_COLLATION, emailInUse } = require("../models/User");
+const Invitation = require("../models/Invitation");
+const { ROLES, DEFAULT_ROLE, canManageRole } = require("../utils/permissions");
+const { validatePassword } = require("../utils/passwordPolicy");
+const { hashToken } = require("../utils/tokens");
+const { sendTemplate, appUrl } = require("../utils/mailer");
+const { recordAudit } = require("../utils/audit");
+const { isValidEmail } = require("../utils/validation");
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// An invitation can be resent once a minute
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const INVITATION_FIELDS = "email fullName role invitedBy expiresAt lastSentAt sendCount createdAt";
+// What createUser sends back about the new account
+const ACCOUNT_FIELDS = ["_id", "fullName", "email", "role", "status", "approvalStatus", "emailVerified", "createdAt"];
+const INVALID_INVITATION = "This invitation is invalid or has expired.";
+
+// Not yet accepted or revoked; expired ones still count so they can be resent
+const PENDING = { acceptedAt: null, revokedAt: null };
+
+/**
+ * Checks the email and role an admin picked for a new account.
+ * @returns {Promise<{status: number, message: string}|null>} The error to send, if any
+ */
+const checkNewAccount = async (req, email, role) => {
+    if (!isValidEmail(email)) return { status: 400, message: "Please enter a valid email address." };
+    if (!ROLES.includes(role)) return { status: 400, message: "Unknown role." };
+    if (!canManageRole(req.user.role, role)) {
+        return { status: 403, message: "You can't assign or change a role above your own" };
+    }
+    if (await emailInUse(email)) return { status: 409, message: "A user with that email already exists." };
+    return null;
+};
+
+/**
+ * Gives the invitation a fresh token and expiry and saves it. Any link sent
+ * earlier stops working.
+ * @param {Object} invitation - Invitation document
+ * @returns {Promise<string>} The token for the link
+ */
+const issueInvitation = async (invitation) => {
+    const token = crypto.randomBytes(32).toString("hex");
+    invitation.tokenHash = hashToken(token);
+    invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+    await invitation.save();
+    return token;
+};
+
+/**
+ * Issues the invitation a new link and emails it.
+ * @param {Object} req - Express request; the inviter is req.user
+ * @param {Object} invitation - Invitation document
+ * @returns {Promise<boolean>} Whether the email went out; the invitation is saved either way
+ */
+const sendInvitation = async (req, invitation) => {
+    invitation.lastSentAt = new Date();
+    invitation.sendCount += 1;
+    const token = await issueInvitation(invitation);
+
+    try {
+        const inviter = await User.findById(req.user.userId, "fullName");
+        await sendTemplate(invitation.email, "invitation", {
+            name: invitation.fullName,
+            inviterName: inviter ? inviter.fullName : "An administrator",
+            role: invitation.role,
+            link: appUrl("/accept-invitation", { token }),
+            expiresAt: invitation.expiresAt.toUTCString(),
+        });
+        return true;
+    } catch (error) {
+        console.error("Invitation email error:", error);
+        return false;
+    }
+};
+
+// Copies only the listed fields, so fields added to a model later stay on the server
+const pick = (doc, fields) => Object.fromEntries(fields.map((field) => [field, doc.get(field)]));
+
+// What the admin panel shows for an invitation
+const toPublic = (invitation) => pick(invitation, ["_id", ...INVITATION_FIELDS.split(" ")]);
+
+// Creates an account directly, with a password chosen by the admin. Body: { fullName, email, role, password }
+const createUser = async (req, res) => {
+    try {
+        const fullName = String(req.body.fullName || "").trim();
+        const email = String(req.body.email || "").trim();
+        const role = req.body.role || DEFAULT_ROLE;
+        if (!fullName) return res.status(400).json({ message: "Full name is required." });
+
+        const problem = await checkNewAccount(req, email, role);
+        if (problem) return res.status(problem.status).json({ message: problem.message });
+
+        const passwordProblem = validatePassword(req.body.password);
+        if (passwordProblem) return res.status(400).json({ message: passwordProblem });
+
+        // An admin vouches for the account, so it skips verification and approval
+        const user = await User.create({
+            fullName,
+            email,
+            password: await bcrypt.hash(req.body.password, 10),
+            role,
+            emailVerified: true,
+            approvalStatus: "approved",
+            reviewedBy: req.user.userId,
+            reviewedAt: new Date(),
+        });
+        await recordAudit(req, "user_created", { target: user._id, targetEmail: user.email, details: { role, via: "admin" } });
+
+        res.status(201).json(pick(user, ACCOUNT_FIELDS));
+    } catch (error) {
+        console.error("createUser error:", error);
+        if (error.code === 11000) return res.status(409).json({ message: "A user with that email already exists." });
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: "Failed to create user" });
+    }
+};
+
+// Lists invitations that haven't been accepted or revoked, newest first
+const listInvitations = async (req, res) => {
+    try {
+        const invitations = await Invitation.find(PENDING, INVITATION_FIELDS)
+            .sort({ createdAt: -1 })
+            .populate("invitedBy", "fullName email")
+            .lean();
+
+        res.json(invitations);
+    } catch (error) {
+        console.error("listInvitations error:", error);
+        res.status(500).json({ message: "Failed to load invitations." });
+    }
+};
+
+// Invites someone by email with a role already chosen. Body: { email, fullName, role }
+const createInvitation = async (req, res) => {
+    try {
+        const email = String(req.body.email || "").trim();
+        const role = req.body.role || DEFAULT_ROLE;
+
+        const problem = await checkNewAccount(req, email, role);
+        if (problem) return res.status(problem.status).json({ message: problem.message });
+        if (await Invitation.exists({ ...PENDING, email }).collation(EMAIL_COLLATION)) {
+            return res.status(409).json({ message: "That address already has a pending invitation. Resend it instead." });
+        }
+
+        const invitation = new Invitation({
+            email,
+            fullName: String(req.body.fullName || "").trim(),
+            role,
+            invitedBy: req.user.userId,
+        });
+        const emailSent = await sendInvitation(req, invitation);
+        await recordAudit(req, "user_invited", { targetEmail: email, details: { role, invitation: invitation._id } });
+
+        res.status(201).json({
+            message: emailSent
+                ? `Invitation sent to ${email}.`
+                : "The invitation was saved but the email could not be sent. Try resending it.",
+            emailSent,
+            invitation: toPublic(invitation),
+        });
+    } catch (error) {
+        console.error("createInvitation error:", error);
+        if (error.name === "ValidationError") return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: "Failed to create invitation" });
+    }
+};
+
+// Loads a pending invitation the signed-in admin is allowed to act on
+const findManagedInvitation = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ message: "Invitation not found." });
+        return null;
+    }
+    const invitation = await Invitation.findOne({ _id: req.params.id, ...PENDING });
+    if (!invitation) {
+        res.status(404).json({ message: "Invitation not found." });
+        return null;
+    }
+    if (!canManageRole(req.user.role, invitation.role)) {
+        res.status(403).json({ message: "You can't manage an invitation for a role above your own" });
+        return null;
+    }
+    return invitation;
+};
+
+// Sends the invitation again with a new link and a fresh expiry
+const resendInvitation = async (req, res) => {
+    try {
+        const invitation = await findManagedInvitation(req, res);
+        if (!invitation) return;
+
+        if (invitation.lastSentAt && Date.now() - invitation.lastSentAt.getTime() < RESEND_INTERVAL_MS) {
+            return res.status(429).json({ message: "Please wait a minute before resending." });
+        }
+        if (await emailInUse(invitation.email)) {
+            return res.status(409).json({ message: "A user with that email already exists." });
+        }
+
+        const emailSent = await sendInvitation(req, invitation);
+        res.status(emailSent ? 200 : 502).json({
+            message: emailSent ? `Invitation resent to ${invitation.email}.` : "The email could not be sent. Please try again.",
+            emailSent,
+            invitation: toPublic(invitation),
+        });
+    } catch (error) {
+        console.error("resendInvitation error:", error);
+        res.status(500).json({ message: "Failed to resend invitation" });
+    }
+};
+
+// Emails every pending invitation that was saved without one, e.g. by a CSV import
+const sendUnsentInvitations = async (req, res) => {
+    try {
+        const invitations = await Invitation.find({ ...PENDING, lastSentAt: null }).sort({ createdAt: 1 });
+
+        let sent = 0;
+        let failed = 0;
+        for (const invitation of invitations) {
+            // Skipped quietly: the admin can't manage it, or the person signed up meanwhile
+            if (!canManageRole(req.user.role, invitation.role)) continue;
+            if (await emailInUse(invitation.email)) continue;
+
+            if (await sendInvitation(req, invitation)) sent += 1;
+            else failed += 1;
+        }
+
+        res.json({
+            message: `Sent ${sent} invitation(s).` + (failed ? ` ${failed} could not be sent; try again later.` : ""),
+            sent,
+            failed,
+        });
+    } catch (error) {
+        console.error("sendUnsentInvitations error:", error);
+        res.status(500).json({ message: "Failed to send invitations" });
+    }
+};
+
+// Revokes an invitation; its link stops working immediately
+const revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await findManagedInvitation(req, res);
+        if (!invitation) return;
+
+        invitation.revokedAt = new Date();
+        await invitation.save();
+        await recordAudit(req, "invitation_revoked", {
+            targetEmail: invitation.email,
+            details: { role: invitation.role, invitation: invitation._id },
+        });
+
+        res.json({ message: "Invitation revoked." });
+    } catch (error) {
+        console.error("revokeInvitation error:", error);
+        res.status(500).json({ message: "Failed to revoke invitation" });
+    }
+};
+
+const findByToken = (token) =>
+    Invitation.findOne({ tokenHash: hashToken(String(token || "")), ...PENDING, expiresAt: { $gt: new Date() } });
+
+// Public: what the accept page shows before the invitee picks a password
+const getInvitation = async (req, res) => {
+    try {
+        const invitation = await findByToken(req.params.token);
+        if (!invitation) return res.status(400).json({ message: INVALID_INVITATION });
+
+        res.json({ email: invitation.email, fullName: invitation.fullName, role: invitation.role });
+    } catch (error) {
+        console.error("getInvitation error:", error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+// Public: creates the invitee's account. Body: { token, fullName, password }
+const acceptInvitation = async (req, res) => {
+    try {
+        const fullName = String(req.body.fullName || "").trim();
+        if (!fullName) return res.status(400).json({ message: "Full name is required." });
+
+        const passwordProblem = validatePassword(req.body.password);
+        if (passwordProblem) return res.status(400).json({ message: passwordProblem });
+
+        // Claimed atomically so a link followed twice creates one account
+        const invitation = await Invitation.findOneAndUpdate(
+            { tokenHash: hashToken(String(req.body.token || "")), ...PENDING, expiresAt: { $gt: new Date() } },
+            { acceptedAt: new Date() },
+            { new: true }
+        );
+        if (!invitation) return res.status(400).json({ message: INVALID_INVITATION });
+
+        let user;
+        try {
+            // Following the emailed link proves the address, and an admin chose the role
+            user = await User.create({
+                fullName,
+                email: invitation.email,
+                password: await bcrypt.hash(req.body.password, 10),
+                role: invitation.role,
+                emailVerified: true,
+                approvalStatus: "approved",
+                reviewedBy: invitation.invitedBy,
+                reviewedAt: new Date(),
+            });
+        } catch (error) {
+            await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+            if (error.code === 11000) return res.status(409).json({ message: "A user with that email already exists." });
+            throw error;
+        }
+
+        invitation.user = user._id;
+        await invitation.save();
+
+        res.status(201).json({ message: "Your account is ready. You can now log in.", email: user.email });
+    } catch (error) {
+        console.error("acceptInvitation error:", error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+module.exports = {
+    PENDING,
+    issueInvitation,
+    sendInvitation,
+    createUser,
+    listInvitations,
+    createInvitation,
+    resendInvitation,
+    sendUnsentInvitations,
+    revokeInvitation,
+    getInvitation,
+    acceptInvitation,
+};
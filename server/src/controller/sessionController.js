@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const AuthLog = require("../models/AuthLog");
+const { SESSION_EVENTS } = require("../models/AuthLog");
+const RefreshToken = require("../models/RefreshToken");
+const { revokeToken, revokeFamily, revokeSessionByTokenId } = require("../utils/revocation");
+const { recordAuthEvent } = require("../utils/authLog");
+
+const recordRevocation = (req, entry) =>
+    recordAuthEvent(req, "logout", {
+        user: entry.user,
+        email: entry.email,
+        role: entry.role,
+        tokenId: entry.tokenId,
+        reason: "revoked_by_admin",
+    });
+
+// Ends one session, identified by the tokenId on a login or refresh log entry
+const revokeSession = async (req, res) => {
+    try {
+        const entry = await AuthLog.findOne({ tokenId: req.params.tokenId, event: { $in: SESSION_EVENTS } });
+        if (!entry) return res.status(404).json({ message: "Session not found." });
+
+        await revokeSessionByTokenId({
+            tokenId: entry.tokenId,
+            user: entry.user,
+            expiresAt: entry.expiresAt,
+            reason: "revoked_by_admin",
+        });
+        await recordRevocation(req, entry);
+
+        res.json({ message: "Session revoked." });
+    } catch (error) {
+        console.error("revokeSession error:", error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+// Ends every session of a user, both live access tokens and refresh chains
+const revokeUserSessions = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const now = new Date();
+        const families = await RefreshToken.distinct("family", {
+            user: req.params.id,
+            revokedAt: null,
+            expiresAt: { $gt: now },
+        });
+        for (const family of families) {
+            await revokeFamily(family, "revoked_by_admin");
+        }
+
+        // Access tokens that are still live, including any issued without a refresh chain
+        const entries = await AuthLog.find({
+            user: req.params.id,
+            event: { $in: SESSION_EVENTS },
+            tokenId: { $ne: null },
+            expiresAt: { $gt: now },
+        });
+        for (const entry of entries) {
+            await revokeToken({ tokenId: entry.tokenId, user: entry.user, expiresAt: entry.expiresAt, reason: "revoked_by_admin" });
+            await recordRevocation(req, entry);
+        }
+
+        const revoked = Math.max(families.length, entries.length);
+        res.json({ message: `${revoked} session(s) revoked.`, revoked });
+    } catch (error) {
+        console.error("revokeUserSessions error:", error);
+        res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+module.exports = { revokeSession, revokeUserSessions };
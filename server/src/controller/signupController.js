@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { APPROVAL_STATUSES } = require("../models/User");
+const { canManageRole, DEFAULT_ROLE } = require("../utils/permissions");
+const { sendTemplate, appUrl } = require("../utils/mailer");
+
+const SIGNUP_FIELDS = "fullName email role requestedRole approvalStatus reviewedBy reviewedAt reviewNote createdAt";
+
+// Tells the applicant how their request went; a mail failure never undoes the decision
+const notifyApplicant = async (user) => {
+    try {
+        if (user.approvalStatus === "approved") {
+            await sendTemplate(user.email, "signupApproved", {
+                name: user.fullName,
+                role: user.role !== DEFAULT_ROLE ? user.role : null,
+                link: appUrl("/login"),
+            });
+        } else {
+            await sendTemplate(user.email, "signupRejected", { name: user.fullName, note: user.reviewNote });
+        }
+        return true;
+    } catch (error) {
+        console.error("Signup decision email error:", error);
+        return false;
+    }
+};
+
+// Lists signup requests, pending ones by default, oldest first
+const listSignups = async (req, res) => {
+    try {
+        const status = APPROVAL_STATUSES.includes(req.query.status) ? req.query.status : "pending";
+        const signups = await User.find({ approvalStatus: status }, SIGNUP_FIELDS)
+            .sort({ createdAt: status === "pending" ? 1 : -1 })
+            .populate("reviewedBy", "fullName email")
+            .lean();
+
+        res.json(signups);
+    } catch (error) {
+        console.error("listSignups error:", error);
+        res.status(500).json({ message: "Failed to load signup requests." });
+    }
+};
+
+// Approves or rejects one pending signup; only the first decision counts
+const decideSignup = (decision) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid user id." });
+
+        const applicant = await User.findById(id, "requestedRole approvalStatus");
+        if (!applicant) return res.status(404).json({ message: "User not found." });
+        if (applicant.approvalStatus !== "pending") {
+            return res.status(409).json({ message: "This signup request has already been reviewed." });
+        }
+        if (decision === "approved" && applicant.requestedRole && !canManageRole(req.user.role, applicant.requestedRole)) {
+            return res.status(403).json({ message: "You can't approve a role above your own" });
+        }
+
+        const update = {
+            approvalStatus: decision,
+            reviewedBy: req.user.userId,
+            reviewedAt: new Date(),
+            reviewNote: String(req.body.note || "").trim(),
+        };
+        if (decision === "approved" && applicant.requestedRole) update.role = applicant.requestedRole;
+
+        const user = await User.findOneAndUpdate({ _id: id, approvalStatus: "pending" }, update, {
+            new: true,
+            projection: SIGNUP_FIELDS,
+        });
+        if (!user) return res.status(409).json({ message: "This signup request has already been reviewed." });
+
+        const emailSent = await notifyApplicant(user);
+        res.json({ user, emailSent });
+    } catch (error) {
+        console.error("decideSignup error:", error);
+        res.status(500).json({ message: "Failed to review signup request." });
+    }
+};
+
+const approveSignup = decideSignup("approved");
+const rejectSignup = decideSignup("rejected");
+
+module.exports = { listSignups, approveSignup, rejectSignup };
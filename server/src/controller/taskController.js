@@ -0,0 +1,257 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { ACTIVE_FILTER } = require("../models/User");
+const { canTransition } = require("../utils/taskStatus");
+const { hasPermission } = require("../utils/permissions");
+
+// Fields a client is allowed to set on a task; owner always comes from the token
+// and assignees go through resolveAssignees below.
+const EDITABLE_FIELDS = ["title", "description", "priority", "deadline", "progress", "status"];
+
+const pickEditable = (body) => {
+  const updates = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+  return updates;
+};
+
+// Holders of the ":any" permission reach every task, everyone else the ones they
+// created or are assigned to. Archived tasks are off every board.
+const scopeFor = (user, access = "read") => ({
+  archivedAt: null,
+  ...(hasPermission(user.role, `tasks:${access}:any`)
+    ? {}
+    : { $or: [{ owner: user.userId }, { assignees: user.userId }] }),
+});
+
+// Assignees may work on a task, but only its creator decides who is on it
+const canManageTask = (user, task) =>
+  task.owner.equals(user.userId) || hasPermission(user.role, "tasks:write:any");
+
+const findScopedTask = async (req, access = "read") => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Task.findOne({ _id: req.params.id, ...scopeFor(req.user, access) });
+};
+
+// Gap left between neighbouring ranks, both when a column is renumbered and
+// when a task is added to the end of one
+const RANK_STEP = 1024;
+
+// Longest board column key kept on a task, as in controller/boardController.js
+const MAX_COLUMN_KEY = 40;
+
+// Rank that puts a task after everything already in the column
+const nextRank = async (status) => {
+  const last = await Task.findOne({ status, archivedAt: null }, "rank").sort({ rank: -1 });
+  return (last && last.rank ? last.rank : 0) + RANK_STEP;
+};
+
+const MAX_ASSIGNEES = 20;
+
+// Who a task involves, as sent to the client
+const PEOPLE = [
+  { path: "owner", select: "fullName email" },
+  { path: "assignees", select: "fullName email" },
+];
+
+/**
+ * Checks a client-supplied list of assignee ids against the user collection.
+ * @param {*} ids - Value of req.body.assignees
+ * @returns {Promise<{assignees?: ObjectId[], error?: string}>}
+ */
+const resolveAssignees = async (ids) => {
+  if (!Array.isArray(ids)) return { error: "Assignees must be a list of user ids." };
+
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length > MAX_ASSIGNEES) return { error: `A task can have at most ${MAX_ASSIGNEES} assignees.` };
+  if (!unique.every((id) => mongoose.Types.ObjectId.isValid(id))) return { error: "Unknown assignee." };
+
+  const users = await User.find({ _id: { $in: unique }, ...ACTIVE_FILTER }).select("_id");
+  if (users.length !== unique.length) return { error: "Unknown assignee." };
+
+  // Keep the order the client picked them in
+  return { assignees: unique.map((id) => new mongoose.Types.ObjectId(id)) };
+};
+
+const getTasks = async (req, res) => {
+  try {
+    const tasks = await Task.find(scopeFor(req.user)).populate(PEOPLE).sort({ rank: 1, createdAt: 1 });
+    res.json(tasks);
+  } catch (error) {
+    console.error("getTasks error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const getTask = async (req, res) => {
+  try {
+    const task = await findScopedTask(req);
+    if (!task) return res.status(404).json({ message: "Task not found." });
+
+    res.json(await task.populate(PEOPLE));
+  } catch (error) {
+    console.error("getTask error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const createTask = async (req, res) => {
+  try {
+    const { assignees = [], error } = req.body.assignees === undefined ? {} : await resolveAssignees(req.body.assignees);
+    if (error) return res.status(400).json({ message: error });
+
+    const task = new Task({
+      ...pickEditable(req.body),
+      owner: req.user.userId,
+      assignees: assignees.length ? assignees : [req.user.userId],
+    });
+    task.rank = await nextRank(task.status);
+    await task.save();
+
+    res.status(201).json(await task.populate(PEOPLE));
+  } catch (error) {
+    console.error("createTask error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const updateTask = async (req, res) => {
+  try {
+    const task = await findScopedTask(req, "write");
+    if (!task) return res.status(404).json({ message: "Task not found." });
+
+    const updates = pickEditable(req.body);
+    if (updates.status && !canTransition(task.status, updates.status)) {
+      return res.status(400).json({ message: `Cannot move task from "${task.status}" to "${updates.status}".` });
+    }
+    // A new deadline deserves a new reminder
+    if (updates.deadline !== undefined) updates.reminderSentAt = null;
+    // A task sent to another column without a position joins its end
+    if (updates.status && updates.status !== task.status) {
+      updates.rank = await nextRank(updates.status);
+      updates.column = null;
+    }
+
+    if (req.body.assignees !== undefined) {
+      if (!canManageTask(req.user, task)) {
+        return res.status(403).json({ message: "Only the task's creator can change its assignees." });
+      }
+      const { assignees, error } = await resolveAssignees(req.body.assignees);
+      if (error) return res.status(400).json({ message: error });
+      if (!assignees.length) return res.status(400).json({ message: "A task needs at least one assignee." });
+      updates.assignees = assignees;
+    }
+
+    task.set(updates);
+    await task.save();
+
+    res.json(await task.populate(PEOPLE));
+  } catch (error) {
+    console.error("updateTask error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const deleteTask = async (req, res) => {
+  try {
+    const task = await findScopedTask(req, "write");
+    if (!task) return res.status(404).json({ message: "Task not found." });
+    if (!canManageTask(req.user, task)) {
+      return res.status(403).json({ message: "Only the task's creator can delete it." });
+    }
+
+    await task.deleteOne();
+
+    res.json({ message: "Task deleted successfully" });
+  } catch (error) {
+    console.error("deleteTask error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+// Rank halfway between the tasks a moved task lands between, or null once the
+// two are too close to fit another rank in
+const rankBetween = (before, after) => {
+  if (!after) return (before ? before.rank : 0) + RANK_STEP;
+  if (!before) return after.rank - RANK_STEP;
+  return after.rank - before.rank >= 2 ? Math.floor((before.rank + after.rank) / 2) : null;
+};
+
+// Spreads a whole column out again, with the moved task right after `before`
+// (or first). Only needed once repeated moves have used up a gap.
+const renumberColumn = async (status, task, before) => {
+  const ids = (await Task.find({ status, archivedAt: null, _id: { $ne: task._id } }, "_id").sort({ rank: 1, createdAt: 1 }))
+    .map((t) => t._id);
+  ids.splice(before ? ids.findIndex((id) => id.equals(before._id)) + 1 : 0, 0, task._id);
+
+  const ranks = new Map(ids.map((id, i) => [String(id), (i + 1) * RANK_STEP]));
+  const rankUpdates = ids
+    .filter((id) => !id.equals(task._id))
+    .map((id) => ({ updateOne: { filter: { _id: id }, update: { rank: ranks.get(String(id)) } } }));
+  if (rankUpdates.length) await Task.bulkWrite(rankUpdates);
+  return ranks;
+};
+
+// Moves a task into a board column at the given position. Ranks order a whole
+// status, so the index counts the tasks with the target status that the mover
+// can see; `column` is the key of the board column it was dropped in. Only the
+// moved task's rank changes, to one between its new neighbours. Responds with
+// the mover's view of the status so the client can reconcile its ranks.
+const moveTask = async (req, res) => {
+  try {
+    const task = await findScopedTask(req, "write");
+    if (!task) return res.status(404).json({ message: "Task not found." });
+
+    const status = req.body.status || task.status;
+    if (!canTransition(task.status, status)) {
+      return res.status(400).json({ message: `Cannot move task from "${task.status}" to "${status}".` });
+    }
+
+    const siblings = await Task.find({ ...scopeFor(req.user), status, _id: { $ne: task._id } })
+      .populate(PEOPLE)
+      .sort({ rank: 1, createdAt: 1 });
+    const index = Math.min(Math.max(parseInt(req.body.index, 10) || 0, 0), siblings.length);
+    const before = siblings[index - 1];
+
+    task.status = status;
+    task.column = typeof req.body.column === "string" ? req.body.column.slice(0, MAX_COLUMN_KEY) : null;
+    task.rank = rankBetween(before, siblings[index]);
+    if (task.rank === null) {
+      const ranks = await renumberColumn(status, task, before);
+      task.rank = ranks.get(String(task._id));
+      siblings.forEach((t) => {
+        t.rank = ranks.get(String(t._id));
+      });
+    }
+
+    // Goes through save() so the status hooks run
+    await task.save();
+    await task.populate(PEOPLE);
+    siblings.splice(index, 0, task);
+    res.json(siblings);
+  } catch (error) {
+    console.error("moveTask error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+// People the signed-in user can pick as assignees, for the task form
+const getAssignees = async (req, res) => {
+  try {
+    const users = await User.find(ACTIVE_FILTER).select("fullName email").sort({ fullName: 1 });
+    res.json(users);
+  } catch (error) {
+    console.error("getAssignees error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+module.exports = { getTasks, getTask, createTask, updateTask, deleteTask, moveTask, getAssignees };
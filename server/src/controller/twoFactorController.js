@@ -0,0 +1,220 @@
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const { generateSecret, otpauthUri, verifyTotp, generateBackupCodes, findBackupCode } = require("../utils/totp");
+const { getSettings } = require("../utils/settings");
+const { hasPermission } = require("../utils/permissions");
+const { issueTokens } = require("../utils/tokens");
+const { recordAuthEvent } = require("../utils/authLog");
+const { loginWaitFor, recordLoginFailure, clearLoginFailures, rejectLoginAttempt } = require("../utils/lockout");
+const { STATUS_MESSAGES, isActive } = require("../utils/accountStatus");
+require("dotenv").config();
+
+const SECRET_KEY = process.env.JWT_SECRET;
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+// Time allowed between the password step and the code step of a login
+const LOGIN_CHALLENGE_TTL = "5m";
+
+/**
+ * Whether the security settings oblige someone with this role to keep 2FA on.
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (role) =>
+  hasPermission(role, "admin:access") && (await getSettings()).requireTwoFactorForAdmins;
+
+/**
+ * Signs the short-lived token that carries a login from the password step to the code step.
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const createLoginChallenge = (user) =>
+  jwt.sign({ userId: user._id, purpose: "2fa_login" }, SECRET_KEY, { expiresIn: LOGIN_CHALLENGE_TTL });
+
+/**
+ * Accepts an authenticator code or an unused backup code. Both are spent
+ * atomically, so the same code can't pass two requests racing each other.
+ * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+const consumeSecondFactor = async (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $lt: step } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const index = findBackupCode(user.twoFactor.backupCodes, code);
+  if (index === -1) return false;
+  const result = await User.updateOne(
+    { _id: user._id, "twoFactor.backupCodes": user.twoFactor.backupCodes[index] },
+    { $pull: { "twoFactor.backupCodes": user.twoFactor.backupCodes[index] } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, "role twoFactor.enabled +twoFactor.backupCodes");
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      required: await isTwoFactorRequired(user.role),
+      backupCodesRemaining: user.twoFactor.backupCodes.length,
+    });
+  } catch (error) {
+    console.error("getTwoFactorStatus error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+// Starts enrollment: the secret only takes effect once enableTwoFactor confirms a code from it
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, `email twoFactor.enabled ${TWO_FACTOR_FIELDS}`);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const uri = otpauthUri(secret, user.email);
+    res.json({ secret, otpauthUri: uri, qrCode: await QRCode.toDataURL(uri) });
+  } catch (error) {
+    console.error("setupTwoFactor error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, `twoFactor.enabled ${TWO_FACTOR_FIELDS}`);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first." });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) return res.status(400).json({ message: "Invalid authentication code." });
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor = { enabled: true, secret: user.twoFactor.pendingSecret, pendingSecret: null, backupCodes: hashes, lastUsedStep: step };
+    await user.save();
+
+    res.json({ message: "Two-factor authentication enabled.", backupCodes: codes });
+  } catch (error) {
+    console.error("enableTwoFactor error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+// Needs the password and a current code, so a stolen session alone can't switch 2FA off
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.userId, `password role twoFactor.enabled ${TWO_FACTOR_FIELDS}`);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    if (!user.twoFactor.enabled) return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for your role." });
+    }
+    if (!(await bcrypt.compare(String(password || ""), user.password)) || !(await consumeSecondFactor(user, code))) {
+      return res.status(400).json({ message: "Invalid password or authentication code." });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false, secret: null, pendingSecret: null, backupCodes: [], lastUsedStep: -1 } } }
+    );
+
+    res.json({ message: "Two-factor authentication disabled." });
+  } catch (error) {
+    console.error("disableTwoFactor error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, `twoFactor.enabled ${TWO_FACTOR_FIELDS}`);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    if (!user.twoFactor.enabled) return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+    if (!(await consumeSecondFactor(user, req.body.code))) {
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { "twoFactor.backupCodes": hashes } });
+
+    res.json({ backupCodes: codes });
+  } catch (error) {
+    console.error("regenerateBackupCodes error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+// Second login step: trades the challenge from /login plus a code for the session tokens
+const verifyLoginChallenge = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(String(challengeToken || ""), SECRET_KEY);
+    } catch {
+      return res.status(401).json({ message: "Login expired, please sign in again." });
+    }
+    if (challenge.purpose !== "2fa_login") {
+      return res.status(401).json({ message: "Login expired, please sign in again." });
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: "Login expired, please sign in again." });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const wait = loginWaitFor(user);
+    if (wait.retryAfterMs > 0) return rejectLoginAttempt(req, res, user, wait);
+
+    if (!(await consumeSecondFactor(user, code))) {
+      await recordAuthEvent(req, "login_failed", { user: user._id, email: user.email, role: user.role, reason: "invalid_2fa_code" });
+      await recordLoginFailure(req, user);
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+    // The account may have been suspended since the password step
+    if (!isActive(user)) {
+      await recordAuthEvent(req, "login_failed", { user: user._id, email: user.email, role: user.role, reason: `account_${user.status}` });
+      return res.status(403).json({ message: STATUS_MESSAGES[user.status], accountStatus: user.status });
+    }
+
+    await clearLoginFailures(user);
+    const { token, refreshToken, tokenId, expiresAt } = await issueTokens(user);
+    await recordAuthEvent(req, "login", { user: user._id, email: user.email, role: user.role, tokenId, expiresAt });
+
+    res.json({ message: "Login successful", token, refreshToken, role: user.role });
+  } catch (error) {
+    console.error("verifyLoginChallenge error:", error);
+    res.status(500).json({ message: "Server error, please try again." });
+  }
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  createLoginChallenge,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifyLoginChallenge,
+};
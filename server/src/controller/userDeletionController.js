@@ -0,0 +1,150 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { ACTIVE_FILTER } = require("../models/User");
+const Task = require("../models/Task");
+const RefreshToken = require("../models/RefreshToken");
+const { canManageRole } = require("../utils/permissions");
+const { DONE_STATUS } = require("../utils/taskStatus");
+const { recordAudit } = require("../utils/audit");
+
+// What happens to the tasks a deleted user created
+const TASK_ACTIONS = ["reassign", "archive", "delete"];
+
+// MongoDB's error code when transactions are used without a replica set
+const ILLEGAL_OPERATION = 20;
+
+const openTasksOf = (userId) => ({ owner: userId, archivedAt: null, status: { $ne: DONE_STATUS } });
+
+/**
+ * Counts the work a user would leave behind, for the confirmation dialog.
+ * @param {ObjectId} userId
+ * @returns {Promise<{openTasks: number, completedTasks: number, assignedTasks: number}>}
+ */
+const summarizeTasks = async (userId) => {
+    const [openTasks, completedTasks, assignedTasks] = await Promise.all([
+        Task.countDocuments(openTasksOf(userId)),
+        Task.countDocuments({ owner: userId, archivedAt: null, status: DONE_STATUS }),
+        // Other people's tasks the user is working on
+        Task.countDocuments({ owner: { $ne: userId }, assignees: userId, archivedAt: null }),
+    ]);
+    return { openTasks, completedTasks, assignedTasks };
+};
+
+/**
+ * Deals with every task that references the user, inside the caller's transaction.
+ * - reassign: open tasks and open assignments go to the successor; completed tasks are archived
+ * - archive: every task the user created is archived
+ * - delete: every task the user created is deleted
+ * In all cases the user is then taken off the assignees of the remaining tasks.
+ * @returns {Promise<Object>} How many tasks each step touched
+ */
+const cascadeTasks = async (userId, taskAction, successorId, session) => {
+    const result = { reassigned: 0, archived: 0, deleted: 0, unassigned: 0 };
+
+    if (taskAction === "reassign") {
+        await Task.updateMany(
+            { assignees: userId, archivedAt: null, status: { $ne: DONE_STATUS } },
+            { $addToSet: { assignees: successorId } },
+            { session }
+        );
+        const moved = await Task.updateMany(openTasksOf(userId), { $set: { owner: successorId } }, { session });
+        result.reassigned = moved.modifiedCount;
+    }
+
+    if (taskAction === "delete") {
+        const deleted = await Task.deleteMany({ owner: userId }, { session });
+        result.deleted = deleted.deletedCount;
+    } else {
+        // Whatever is still theirs stays on record, but off the boards
+        const archived = await Task.updateMany(
+            { owner: userId, archivedAt: null },
+            { $set: { archivedAt: new Date() } },
+            { session }
+        );
+        result.archived = archived.modifiedCount;
+    }
+
+    const unassigned = await Task.updateMany({ assignees: userId }, { $pull: { assignees: userId } }, { session });
+    result.unassigned = unassigned.modifiedCount;
+
+    return result;
+};
+
+const findTarget = (id) => (mongoose.Types.ObjectId.isValid(id) ? User.findById(id, "fullName email role status") : null);
+
+const getDeletionSummary = async (req, res) => {
+    try {
+        const user = await findTarget(req.params.id);
+        if (!user) return res.status(404).json({ message: "User not found" });
+
+        res.json(await summarizeTasks(user._id));
+    } catch (error) {
+        console.error("getDeletionSummary error:", error);
+        res.status(500).json({ message: "Failed to load the user's tasks" });
+    }
+};
+
+// Permanently deletes (purges) a user along with their sessions, handling their tasks
+// as the admin chose. Only deactivated accounts can be purged.
+// Body: { taskAction: "reassign" | "archive" | "delete", reassignTo?: userId }
+const deleteUser = async (req, res) => {
+    const session = await mongoose.startSession();
+    try {
+        const { taskAction, reassignTo } = req.body || {};
+        if (!TASK_ACTIONS.includes(taskAction)) {
+            return res.status(400).json({ message: `Choose what happens to the user's tasks: ${TASK_ACTIONS.join(", ")}.` });
+        }
+
+        const user = await findTarget(req.params.id);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (user._id.equals(req.user.userId)) {
+            return res.status(400).json({ message: "You can't delete your own account" });
+        }
+        if (!canManageRole(req.user.role, user.role)) {
+            return res.status(403).json({ message: "You can't delete a user with a role above your own" });
+        }
+        if (user.status !== "deactivated") {
+            return res.status(409).json({ message: "Deactivate the account before purging it." });
+        }
+
+        let successor = null;
+        if (taskAction === "reassign") {
+            if (mongoose.Types.ObjectId.isValid(reassignTo) && !user._id.equals(reassignTo)) {
+                successor = await User.findOne({ _id: reassignTo, ...ACTIVE_FILTER }, "fullName email");
+            }
+            if (!successor) return res.status(400).json({ message: "Choose an active user to take over the tasks." });
+        }
+
+        let result;
+        await session.withTransaction(async () => {
+            result = await cascadeTasks(user._id, taskAction, successor && successor._id, session);
+            await RefreshToken.deleteMany({ user: user._id }, { session });
+            await User.deleteOne({ _id: user._id }, { session });
+            await recordAudit(req, "user_deleted", {
+                target: user._id,
+                targetEmail: user.email,
+                details: {
+                    fullName: user.fullName,
+                    role: user.role,
+                    taskAction,
+                    reassignedTo: successor ? successor._id : null,
+                    reassignedToEmail: successor ? successor.email : null,
+                    ...result,
+                },
+            }, session);
+        });
+
+        res.json({ message: "User deleted successfully", ...result });
+    } catch (error) {
+        if (error.code === ILLEGAL_OPERATION) {
+            console.error("deleteUser error: transactions need MongoDB to run as a replica set", error);
+            return res.status(503).json({ message: "Deleting users needs the database to support transactions (a replica set)." });
+        }
+        console.error("deleteUser error:", error);
+        res.status(500).json({ message: "Failed to delete user" });
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = { TASK_ACTIONS, getDeletionSummary, deleteUser };
@@ -0,0 +1,190 @@
+const User = require("../models/User");
+const { EMAIL_COLLATION } = require("../models/User");
+const Invitation = require("../models/Invitation");
+const { ROLES, DEFAULT_ROLE, canManageRole } = require("../utils/permissions");
+const { parseCsv, toCsv, unescapeFormula } = require("../utils/csv");
+const { isValidEmail } = require("../utils/validation");
+const { recordAudit } = require("../utils/audit");
+const { PENDING, issueInvitation, sendInvitation } = require("./invitationController");
+
+// Keeps one request well inside the JSON body limit and the mail server's patience
+const MAX_IMPORT_ROWS = 500;
+
+// Header names accepted for each column, compared case-insensitively
+const COLUMN_ALIASES = {
+    fullName: ["name", "full name", "fullname"],
+    email: ["email", "email address"],
+    role: ["role"],
+};
+
+// Columns written by the export; name, email and role read back in on import
+const EXPORT_COLUMNS = ["name", "email", "role", "status", "emailVerified", "approvalStatus", "createdAt"];
+
+/**
+ * Works out which column holds which field from the header row.
+ * @param {string[]} header
+ * @returns {Object} Column index per field, or -1 when the column is missing
+ */
+const mapColumns = (header) => {
+    const names = header.map((name) => name.trim().toLowerCase());
+    return Object.fromEntries(
+        Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, names.findIndex((name) => aliases.includes(name))])
+    );
+};
+
+/**
+ * Validates every row of an import. Rows are numbered as in the file, the header being row 1.
+ * @returns {Promise<Object[]>} One { row, fullName, email, role, errors } per data row
+ */
+const checkRows = async (req, records, columns) => {
+    const cell = (cells, field) => (columns[field] === -1 ? "" : unescapeFormula(String(cells[columns[field]] || "").trim()));
+
+    const rows = records.map((cells, index) => {
+        const row = {
+            row: index + 2,
+            fullName: cell(cells, "fullName"),
+            email: cell(cells, "email"),
+            role: cell(cells, "role").toLowerCase() || DEFAULT_ROLE,
+            errors: [],
+        };
+
+        if (!isValidEmail(row.email)) row.errors.push("Invalid email address.");
+        if (!ROLES.includes(row.role)) {
+            row.errors.push(`Unknown role "${row.role}". Use one of: ${ROLES.join(", ")}.`);
+        } else if (!canManageRole(req.user.role, row.role)) {
+            row.errors.push("You can't assign a role above your own.");
+        }
+        return row;
+    });
+
+    const firstRowFor = new Map();
+    rows.forEach((row) => {
+        const key = row.email.toLowerCase();
+        if (!key) return;
+        if (firstRowFor.has(key)) row.errors.push(`Duplicate of row ${firstRowFor.get(key)}.`);
+        else firstRowFor.set(key, row.row);
+    });
+
+    const emails = [...firstRowFor.keys()];
+    const [users, invitations] = await Promise.all([
+        User.find({ email: { $in: emails } }, "email").collation(EMAIL_COLLATION).lean(),
+        Invitation.find({ ...PENDING, email: { $in: emails } }, "email").collation(EMAIL_COLLATION).lean(),
+    ]);
+    const registered = new Set(users.map((user) => user.email.toLowerCase()));
+    const invited = new Set(invitations.map((invitation) => invitation.email.toLowerCase()));
+
+    rows.forEach((row) => {
+        const key = row.email.toLowerCase();
+        if (registered.has(key)) row.errors.push("A user with that email already exists.");
+        else if (invited.has(key)) row.errors.push("That address already has a pending invitation.");
+    });
+
+    return rows;
+};
+
+// Invites the people listed in a CSV file (name, email and role columns).
+// Body: { csv, dryRun, sendInvitations }. A dry run only reports what would happen;
+// otherwise every valid row gets an invitation and rows with errors are skipped.
+// Without sendInvitations nothing is emailed yet; the admin sends them all later
+// from the pending invitations. Rows are saved one at a time, so each row
+// reports whether it was invited.
+const importUsers = async (req, res) => {
+    try {
+        const { csv, dryRun = false, sendInvitations = false } = req.body || {};
+        if (typeof csv !== "string" || !csv.trim()) return res.status(400).json({ message: "Choose a CSV file to import." });
+
+        const [header, ...records] = parseCsv(csv);
+        const columns = mapColumns(header);
+        if (columns.email === -1) {
+            return res.status(400).json({ message: "The file needs a header row with at least an \"email\" column." });
+        }
+        if (!records.length) return res.status(400).json({ message: "The file has no rows to import." });
+        if (records.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ message: `A file can hold at most ${MAX_IMPORT_ROWS} users; split it and import each part.` });
+        }
+
+        const rows = await checkRows(req, records, columns);
+        const valid = rows.filter((row) => !row.errors.length);
+        const summary = { total: rows.length, valid: valid.length, invalid: rows.length - valid.length };
+
+        if (dryRun) return res.json({ dryRun: true, ...summary, rows });
+
+        let invited = 0;
+        let emailed = 0;
+        for (const row of valid) {
+            row.invited = false;
+            try {
+                const invitation = new Invitation({ email: row.email, fullName: row.fullName, role: row.role, invitedBy: req.user.userId });
+                if (sendInvitations) {
+                    // Saved before the email goes out; a failed email can be resent from the invitation list
+                    row.emailSent = await sendInvitation(req, invitation);
+                } else {
+                    await issueInvitation(invitation);
+                    row.emailSent = false;
+                }
+                row.invited = true;
+                row.invitation = invitation._id;
+                invited += 1;
+                if (row.emailSent) emailed += 1;
+
+                await recordAudit(req, "user_invited", {
+                    targetEmail: row.email,
+                    details: { role: row.role, invitation: invitation._id, via: "import" },
+                });
+            } catch (error) {
+                console.error(`importUsers error on row ${row.row}:`, error);
+                row.errors.push(row.invited
+                    ? "Invited, but the audit log entry could not be written."
+                    : "Could not be saved; import this row again.");
+            }
+        }
+
+        const notes = [];
+        if (invited < valid.length) notes.push(`${valid.length - invited} could not be saved.`);
+        if (!sendInvitations) notes.push("No emails were sent; use \"Send unsent\" in the pending invitations when ready.");
+        else if (emailed < invited) notes.push(`${invited - emailed} email(s) could not be sent; resend them from the pending invitations.`);
+        res.status(201).json({
+            message: [`Invited ${invited} of ${rows.length} users.`, ...notes].join(" "),
+            dryRun: false,
+            ...summary,
+            invited,
+            emailed,
+            rows,
+        });
+    } catch (error) {
+        console.error("importUsers error:", error);
+        res.status(500).json({ message: "Failed to import users" });
+    }
+};
+
+// Downloads every user as CSV, in the format importUsers reads
+const exportUsers = async (req, res) => {
+    try {
+        const users = await User.find({}, "fullName email role status emailVerified approvalStatus createdAt")
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const csv = toCsv(
+            EXPORT_COLUMNS,
+            users.map((user) => [
+                user.fullName,
+                user.email,
+                user.role,
+                user.status || "active",
+                user.emailVerified !== false,
+                user.approvalStatus || "approved",
+                user.createdAt ? user.createdAt.toISOString() : "",
+            ])
+        );
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="users-${date}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        console.error("exportUsers error:", error);
+        res.status(500).json({ message: "Failed to export users" });
+    }
+};
+
+module.exports = { MAX_IMPORT_ROWS, importUsers, exportUsers };
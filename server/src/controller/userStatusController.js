@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { USER_STATUSES } = require("../models/User");
+const { canManageRole, hasPermission } = require("../utils/permissions");
+const { revokeAllSessions } = require("../utils/revocation");
+const { recordAudit } = require("../utils/audit");
+
+const MAX_REASON_LENGTH = 500;
+
+// Audit action for moving an account into each status
+const AUDIT_ACTION_FOR = {
+    active: "user_reactivated",
+    suspended: "user_suspended",
+    deactivated: "user_deactivated",
+};
+
+// Suspends, deactivates or reactivates an account. Body: { status, reason }
+// Leaving "active" signs the user out everywhere; deactivating stands in for
+// deletion, so it needs the same permission.
+const setUserStatus = async (req, res) => {
+    try {
+        const { status } = req.body;
+        const reason = String(req.body.reason || "").trim();
+        if (!USER_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of: ${USER_STATUSES.join(", ")}.` });
+        }
+        if (status !== "active" && !reason) {
+            return res.status(400).json({ message: "Please give a reason." });
+        }
+        if (reason.length > MAX_REASON_LENGTH) {
+            return res.status(400).json({ message: `The reason can be at most ${MAX_REASON_LENGTH} characters.` });
+        }
+        if (status === "deactivated" && !hasPermission(req.user.role, "users:delete")) {
+            return res.status(403).json({ message: "Access denied" });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: "User not found" });
+        const user = await User.findById(req.params.id, "fullName email role status");
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (user._id.equals(req.user.userId)) {
+            return res.status(400).json({ message: "You can't change the status of your own account" });
+        }
+        if (!canManageRole(req.user.role, user.role)) {
+            return res.status(403).json({ message: "You can't change the status of a user with a role above your own" });
+        }
+
+        const previous = user.status || "active";
+        user.status = status;
+        user.statusReason = reason;
+        user.statusChangedBy = req.user.userId;
+        user.statusChangedAt = new Date();
+        await user.save();
+
+        const signedOut = status === "active" ? 0 : await revokeAllSessions({ user: user._id, reason: `account_${status}` });
+        await recordAudit(req, AUDIT_ACTION_FOR[status], {
+            target: user._id,
+            targetEmail: user.email,
+            details: { from: previous, to: status, reason, signedOut },
+        });
+
+        res.json({
+            _id: user._id,
+            status: user.status,
+            statusReason: user.statusReason,
+            statusChangedAt: user.statusChangedAt,
+            signedOut,
+        });
+    } catch (error) {
+        console.error("setUserStatus error:", error);
+        res.status(500).json({ message: "Failed to update the account status" });
+    }
+};
+
+module.exports = { setUserStatus };
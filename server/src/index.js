@@ -2,11 +2,21 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const User = require("./models/User");
 const bodyParser = require("body-parser");
 const authRoutes = require('./routes/authRoutes');
 const forgotPassRoutes = require("./routes/forgetPasswordRoute");
+const taskRoutes = require("./routes/taskRoutes");
+const boardRoutes = require("./routes/boardRoutes");
+const { startTaskEmails } = require("./utils/taskEmails");
 const app = express();
+
+// Behind a reverse proxy, req.ip (which the rate limits key on) is the proxy's
+// address unless Express is told to trust it. TRUST_PROXY takes what Express's
+// "trust proxy" setting does: "true", a hop count, or addresses like "loopback".
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 app.use(express.json());
 app.use(cors());
 app.use(bodyParser.json());
@@ -14,6 +24,8 @@ app.use(bodyParser.json());
 // Routes
 app.use('/api/auth', authRoutes);
 app.use("/api", forgotPassRoutes);
+app.use("/api/tasks", taskRoutes);
+app.use("/api/board", boardRoutes);
 const PORT = process.env.PORT || 5000;
 
 const mongoURI = process.env.MONGO_URI;
@@ -25,7 +37,10 @@ app.listen(PORT,()=>{
     console.log("server started");
 })
 mongoose.connect(mongoURI)
-    .then(() => console.log(" Connected to MongoDB!"))
+    .then(() => {
+        console.log(" Connected to MongoDB!");
+        startTaskEmails();
+    })
     .catch(err => console.error(" Database connection failed:", err));
 
 app.get("/",(req,res)=>{
@@ -34,41 +49,8 @@ app.get("/",(req,res)=>{
 const adminRoutes = require("./routes/admindash");
 app.use("/admin", adminRoutes);
 
-app.delete("/admin/users/:email", async (req, res) => {
-    try {
-      const { email } = req.params;
-  
-      const result = await User.deleteOne({ email });
-  
-      if (result.deletedCount === 0) {
-        return res.status(404).json({ error: "User not found" });
-      }
-  
-      res.status(200).json({ message: "User deleted successfully" });
-    } catch (error) {
-    
-      res.status(500).json({ error: "Failed to delete user" });
-    }
-  });
-
   app.use((req, res, next) => {
     console.log(`Incoming request: ${req.method} ${req.url}`);
     next();
   });
-  app.put("/admin/users/:email", async (req, res) => {
-    const { email } = req.params;
-    const { fullName, role } = req.body;
-    
-    console.log("Received Update:", { fullName, role });
-  
-    const user = await User.findOneAndUpdate(
-      { email },
-      { fullName, role },
-      { new: true } // Ensure it returns updated data
-    );
-  
-    if (!user) return res.status(404).json({ message: "User not found" });
-  
-    res.json(user);
-  });
   
\ No newline at end of file
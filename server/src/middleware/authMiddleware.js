@@ -1,24 +1,82 @@
 const jwt = require('jsonwebtoken');
+const { recordTokenExpired } = require('../utils/authLog');
+const { isRevoked } = require('../utils/revocation');
+const { hasPermission } = require('../utils/permissions');
+const { getSettings } = require('../utils/settings');
+const User = require('../models/User');
+const { STATUS_MESSAGES, isActive } = require('../utils/accountStatus');
 require('dotenv').config();
 
 // General Authentication Middleware
-const protect = (req, res, next) => {
-    const token = req.header("Authorization");
+const protect = async (req, res, next) => {
+    // Accept both a bare token and the standard "Bearer <token>" form
+    const token = (req.header("Authorization") || "").replace(/^Bearer\s+/i, "");
     if (!token) return res.status(401).json({ message: "Unauthorized access" });
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
-        res.status(401).json({ message: "Invalid token" });
+        if (error.name === "TokenExpiredError") {
+            recordTokenExpired(req, token);
+            return res.status(401).json({ message: "Token expired" });
+        }
+        return res.status(401).json({ message: "Invalid token" });
     }
+
+    // Tokens without a jti can't be revoked, so they are not accepted either
+    let user;
+    try {
+        if (!decoded.jti || await isRevoked(decoded.jti)) {
+            return res.status(401).json({ message: "Session has ended, please log in again" });
+        }
+
+        // Suspending an account ends its sessions, but a token may still be in flight
+        user = await User.findById(decoded.userId, "status role");
+        if (!user) return res.status(401).json({ message: "Session has ended, please log in again" });
+        if (!isActive(user)) {
+            return res.status(401).json({ message: STATUS_MESSAGES[user.status], accountStatus: user.status });
+        }
+    } catch (error) {
+        console.error("protect error:", error);
+        return res.status(500).json({ message: "Server error, please try again." });
+    }
+
+    // The role claim is only a snapshot from sign-in; a demoted admin loses
+    // their permissions now, not when the token expires
+    req.user = { ...decoded, role: user.role };
+    next();
 };
 
-// Admin Authorization Middleware
-const adminOnly = (req, res, next) => {
-    if (req.user.role !== "admin") return res.status(403).json({ message: "Access denied" });
+// Permission Authorization Middleware; every listed permission is required
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!permissions.every((permission) => hasPermission(req.user.role, permission))) {
+        return res.status(403).json({ message: "Access denied" });
+    }
     next();
 };
 
-module.exports = { protect, adminOnly };
\ No newline at end of file
+// Admin Authorization Middleware: anyone allowed into the admin panel
+const adminOnly = requirePermission("admin:access");
+
+// Two-Factor Enforcement Middleware: when the settings require it, admin
+// routes stay closed to accounts that haven't turned 2FA on
+const requireTwoFactor = async (req, res, next) => {
+    try {
+        const { requireTwoFactorForAdmins } = await getSettings();
+        if (!requireTwoFactorForAdmins) return next();
+
+        const user = await User.findById(req.user.userId, "twoFactor.enabled");
+        if (user && user.twoFactor.enabled) return next();
+
+        return res.status(403).json({
+            message: "Turn on two-factor authentication to use the admin panel",
+            code: "two_factor_required",
+        });
+    } catch (error) {
+        console.error("requireTwoFactor error:", error);
+        return res.status(500).json({ message: "Server error, please try again." });
+    }
+};
+
+module.exports = { protect, adminOnly, requirePermission, requireTwoFactor };
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Per-IP request limiting. Counts are kept in memory, so each server process
+// limits on its own and the counts reset on restart. Behind a proxy, set
+// TRUST_PROXY (see index.js) or every client shares the proxy's count.
+
+/**
+ * @param {Object} options
+ * @param {number} options.windowMs - Length of the counting window
+ * @param {number} options.max - Requests allowed per IP in one window
+ * @param {string} options.message - Error returned once the limit is hit
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ windowMs, max, message }) => {
+    const hits = new Map();
+
+    // Drop finished windows so the map doesn't grow without bound
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const key = req.ip || "unknown";
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count += 1;
+        if (entry.count > max) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            res.set("Retry-After", String(retryAfter));
+            return res.status(429).json({ message, retryAfter });
+        }
+        next();
+    };
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Application-wide settings, stored as a single document keyed "global"
+const AppSettingsSchema = new mongoose.Schema({
+    key: { type: String, default: "global", unique: true },
+    // Everyone with admin panel access must turn on two-factor authentication
+    requireTwoFactorForAdmins: { type: Boolean, default: false },
+}, { timestamps: true });
+
+module.exports = mongoose.model('AppSettings', AppSettingsSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+    "user_deleted",
+    "user_suspended",
+    "user_deactivated",
+    "user_reactivated",
+    "user_created",
+    "user_invited",
+    "invitation_revoked",
+];
+
+// One row per administrative change to the user base. Unlike AuthLog, rows keep
+// a copy of who was involved, because the target may no longer exist.
+const AuditLogSchema = new mongoose.Schema({
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    actorEmail: { type: String, default: null },
+    target: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    targetEmail: { type: String, default: null },
+    // Action-specific facts, e.g. how many tasks were reassigned and to whom
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    ipAddress: { type: String, default: null },
+}, { timestamps: true });
+
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
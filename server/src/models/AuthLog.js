@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const AUTH_EVENTS = [
+    "login",
+    "logout",
+    "login_failed",
+    "token_expired",
+    "token_refreshed",
+    "refresh_reused",
+    "account_locked",
+    "account_unlocked",
+    "password_changed",
+    "email_changed",
+];
+
+// Events that hand out a new access token, i.e. start or continue a session
+const SESSION_EVENTS = ["login", "token_refreshed"];
+
+// One row per authentication event; rows for the same JWT share a tokenId
+const AuthLogSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    email: { type: String, lowercase: true, trim: true, default: null },
+    role: { type: String, default: null },
+    event: { type: String, enum: AUTH_EVENTS, required: true },
+    tokenId: { type: String, default: null, index: true },
+    // Why a login failed, e.g. "invalid_password"
+    reason: { type: String, default: null },
+    ipAddress: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    // Token expiry, or when a lockout ends for account_locked
+    expiresAt: { type: Date, default: null },
+}, { timestamps: true });
+
+AuthLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuthLog', AuthLogSchema);
+module.exports.AUTH_EVENTS = AUTH_EVENTS;
+module.exports.SESSION_EVENTS = SESSION_EVENTS;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../utils/permissions');
+
+// An emailed invitation to create an account with a role chosen by an admin.
+// Only a hash of the token is stored; resending issues a new one.
+const InvitationSchema = new mongoose.Schema({
+    email: { type: String, required: true, trim: true, index: true },
+    fullName: { type: String, trim: true, default: "" },
+    role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
+    tokenHash: { type: String, required: true, unique: true, select: false },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt: { type: Date, required: true },
+    lastSentAt: { type: Date, default: null },
+    sendCount: { type: Number, default: 0 },
+    acceptedAt: { type: Date, default: null },
+    // The account created from this invitation
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One link in a refresh-token rotation chain. Only a hash of the token is stored.
+// Every token issued from the same login shares a family, so a replayed token
+// can take down the whole chain.
+const RefreshTokenSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    family: { type: String, required: true, index: true },
+    // jti of the access token issued alongside this refresh token
+    accessTokenId: { type: String, required: true, index: true },
+    accessExpiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
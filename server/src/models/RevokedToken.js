@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// A JWT that must no longer be accepted, keyed by its jti.
+// Entries drop out on their own once the token would have expired anyway.
+const RevokedTokenSchema = new mongoose.Schema({
+    tokenId: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, default: "logout" },
+    expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { TASK_STATUSES, DEFAULT_STATUS, DONE_STATUS } = require('../utils/taskStatus');
+
+const TaskSchema = new mongoose.Schema({
+    // Creator of the task; only they (or holders of tasks:write:any) may reassign or delete it
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Users working on the task; the creator when nobody else was picked
+    assignees: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], index: true },
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    priority: { type: String, enum: ["Low", "Medium", "High"], default: "Medium" },
+    deadline: { type: Date, default: null },
+    progress: { type: Number, min: 0, max: 100, default: 0 },
+    // Workflow state; progress above is an independent metric
+    status: { type: String, enum: TASK_STATUSES, default: DEFAULT_STATUS },
+    completedAt: { type: Date, default: null },
+    // Set when the task is taken off everyone's board, e.g. after its creator was deleted
+    archivedAt: { type: Date, default: null },
+    // When the deadline reminder went out (see utils/taskEmails.js); cleared when the deadline changes
+    reminderSentAt: { type: Date, default: null },
+    // Sort position within a board column, lower comes first. New tasks join the
+    // end of their column (see nextRank in controller/taskController.js)
+    rank: { type: Number, default: 0 },
+    // Key of the board column the task was last dropped in. Lets a board show one
+    // status in several columns (say Review and QA); boards without that column
+    // show the task in the first column for its status.
+    column: { type: String, default: null },
+}, { timestamps: true });
+
+TaskSchema.index({ status: 1, rank: 1 });
+
+TaskSchema.pre('save', function (next) {
+    if (this.isModified('status')) {
+        this.completedAt = this.status === DONE_STATUS ? new Date() : null;
+    }
+    next();
+});
+
+module.exports = mongoose.model('Task', TaskSchema);
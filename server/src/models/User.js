@@ -1,12 +1,101 @@
 const mongoose = require('mongoose');
+const { ROLES, DEFAULT_ROLE } = require('../utils/permissions');
+
+const APPROVAL_STATUSES = ["pending", "approved", "rejected"];
+// Suspended and deactivated accounts keep their data but can't sign in
+const USER_STATUSES = ["active", "suspended", "deactivated"];
+
+// One Kanban column on the user's board, mapped onto a workflow status
+const BoardColumnSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    title: { type: String, required: true, trim: true },
+    status: { type: String, required: true },
+    wipLimit: { type: Number, min: 0, default: null },
+}, { _id: false });
 
 const UserSchema = new mongoose.Schema({
     fullName: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["user", "admin"], default: "user" },
+    // Earlier password hashes, newest first, so they can't be reused (see utils/passwordPolicy.js)
+    passwordHistory: { type: [String], default: [], select: false },
+    role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
     resetToken: { type: String, default: null },
     resetTokenExpires: { type: Date, default: null }, // New field
+    // Accounts created before verification existed count as verified; register sets false
+    emailVerified: { type: Boolean, default: true },
+    // SHA-256 of the emailed token (see utils/tokens.js hashToken)
+    verifyToken: { type: String, default: null },
+    verifyTokenExpires: { type: Date, default: null },
+    // Requested new address; email only switches once a link sent there is followed
+    pendingEmail: { type: String, default: null },
+    emailChangeToken: { type: String, default: null },
+    emailChangeExpires: { type: Date, default: null },
+    // Brute-force protection; see utils/lockout.js
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    lockUntil: { type: Date, default: null },
+    // TOTP two-factor authentication; the secrets are only loaded when asked for
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, default: null, select: false },
+        // Set during enrollment until the first code confirms the authenticator app
+        pendingSecret: { type: String, default: null, select: false },
+        // sha256 hashes of unused one-time backup codes
+        backupCodes: { type: [String], default: [], select: false },
+        // Time step of the last accepted code, so a code can't be used twice
+        lastUsedStep: { type: Number, default: -1, select: false },
+    },
+    boardColumns: { type: [BoardColumnSchema], default: undefined },
+    // Signup approval; only approved accounts can sign in
+    approvalStatus: { type: String, enum: APPROVAL_STATUSES, default: "approved", index: true },
+    // Role granted on approval; the account holds the default role until then
+    requestedRole: { type: String, enum: [...ROLES, null], default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, default: "" },
+    status: { type: String, enum: USER_STATUSES, default: "active", index: true },
+    statusReason: { type: String, trim: true, default: "" },
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    statusChangedAt: { type: Date, default: null },
+    // Last task digest email (see utils/taskEmails.js)
+    lastDigestAt: { type: Date, default: null },
 }, { timestamps: true });
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+const User = mongoose.model('User', UserSchema);
+
+module.exports = User;
+module.exports.APPROVAL_STATUSES = APPROVAL_STATUSES;
+module.exports.USER_STATUSES = USER_STATUSES;
+// Accounts that can sign in, and so can be given tasks. Documents from before
+// a field existed don't have it and get its default, so null matches too.
+module.exports.ACTIVE_FILTER = {
+    emailVerified: { $ne: false },
+    approvalStatus: { $in: ["approved", null] },
+    status: { $in: ["active", null] },
+};
+
+// Addresses that differ only in case belong to the same mailbox, so lookups
+// and duplicate checks by email compare them this way
+const EMAIL_COLLATION = { locale: "en", strength: 2 };
+module.exports.EMAIL_COLLATION = EMAIL_COLLATION;
+
+/**
+ * Finds the account for an address typed by a user, ignoring case. The value
+ * is turned into a string so a request body can't pass a query operator.
+ * @param {*} email
+ * @param {string} [projection]
+ * @returns {Query} Resolves to the user or null
+ */
+module.exports.findByEmail = (email, projection) =>
+    User.findOne({ email: String(email || "").trim() }, projection).collation(EMAIL_COLLATION);
+
+/**
+ * @param {string} email
+ * @param {ObjectId} [exceptId] - A user whose own address doesn't count
+ * @returns {Promise<boolean>} Whether another account already uses the address, ignoring case
+ */
+module.exports.emailInUse = async (email, exceptId) => {
+    const filter = exceptId ? { email, _id: { $ne: exceptId } } : { email };
+    return Boolean(await User.exists(filter).collation(EMAIL_COLLATION));
+};
@@ -1,16 +1,177 @@
 // routes/admin.js
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const User = require("../models/User"); 
+const { protect, adminOnly, requirePermission, requireTwoFactor } = require("../middleware/authMiddleware");
+const { canManageRole } = require("../utils/permissions");
+const { getSettings, updateSettings } = require("../utils/settings");
+const { clearLoginFailures } = require("../utils/lockout");
+const { recordAuthEvent } = require("../utils/authLog");
+const { listAuthLogs, deleteAuthLog, deleteAuthLogs } = require("../controller/authLogController");
+const { revokeSession, revokeUserSessions } = require("../controller/sessionController");
+const { listSignups, approveSignup, rejectSignup } = require("../controller/signupController");
+const { requestEmailChange } = require("../controller/emailChangeController");
+const { getDeletionSummary, deleteUser } = require("../controller/userDeletionController");
+const { setUserStatus } = require("../controller/userStatusController");
+const { importUsers, exportUsers } = require("../controller/userImportController");
+const {
+  createUser,
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  sendUnsentInvitations,
+  revokeInvitation,
+} = require("../controller/invitationController");
 
+// Every admin route needs a valid token with admin panel access (and 2FA
+// when the settings require it), plus the specific permission listed on the route
+router.use(protect, adminOnly, requireTwoFactor);
 
-router.get("/users", async (req, res) => {
+// Users are addressed by _id, which unlike the email never changes
+const findUser = (id, projection) => (mongoose.Types.ObjectId.isValid(id) ? User.findById(id, projection) : null);
+
+router.get("/users", requirePermission("users:read"), async (req, res) => {
   try {
-    const users = await User.find({}, "-password"); 
+    const users = await User.find({}, "-password -resetToken -verifyToken -emailChangeToken");
     res.json(users);
   } catch (err) {
+    console.error("Error fetching users:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Admin-created accounts skip verification and approval
+router.post("/users", requirePermission("users:create"), createUser);
+
+// CSV round trip: the export's name, email and role columns are what the import reads
+router.get("/users/export", requirePermission("users:read"), exportUsers);
+router.post("/users/import", requirePermission("users:create"), importUsers);
+
+router.put("/users/:id", requirePermission("users:update"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    // The email isn't editable here; it changes through POST /users/:id/email
+    const { fullName, role } = req.body;
+
+    const target = await findUser(id, "role");
+    if (!target) return res.status(404).json({ message: "User not found" });
+    if (!canManageRole(req.user.role, target.role) || (role && !canManageRole(req.user.role, role))) {
+      return res.status(403).json({ message: "You can't assign or change a role above your own" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { fullName, role },
+      { new: true, runValidators: true, projection: "-password -resetToken -verifyToken -emailChangeToken" } // Ensure it returns updated data
+    );
+
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json(user);
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating user:", error);
+    res.status(500).json({ message: "Failed to update user" });
+  }
+});
+
+// Suspend, deactivate or reactivate an account; accounts are deactivated rather than deleted
+router.post("/users/:id/status", requirePermission("users:update"), setUserStatus);
+
+// Purging a deactivated user is a guided operation: the admin picks what happens to their tasks
+router.get("/users/:id/deletion-summary", requirePermission("users:delete"), getDeletionSummary);
+router.delete("/users/:id", requirePermission("users:delete"), deleteUser);
+
+// Lifts a brute-force lockout and resets the failed login count
+router.post("/users/:id/unlock", requirePermission("users:update"), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id, "email role failedLoginAttempts lockUntil");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!canManageRole(req.user.role, user.role)) {
+      return res.status(403).json({ message: "You can't unlock a user with a role above your own" });
+    }
+
+    await clearLoginFailures(user);
+    await recordAuthEvent(req, "account_unlocked", {
+      user: user._id,
+      email: user.email,
+      role: user.role,
+      reason: "unlocked_by_admin",
+    });
+
+    res.json({ message: "Account unlocked" });
+  } catch (error) {
+    console.error("Error unlocking user:", error);
+    res.status(500).json({ message: "Failed to unlock user" });
+  }
+});
+
+// Starts an email change for a user; it takes effect once the new address confirms it
+router.post("/users/:id/email", requirePermission("users:update"), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!canManageRole(req.user.role, user.role)) {
+      return res.status(403).json({ message: "You can't change the email of a user with a role above your own" });
+    }
+
+    const problem = await requestEmailChange(user, req.body.email);
+    if (problem) return res.status(400).json({ message: problem });
+
+    res.json({
+      message: `A confirmation link was sent to ${user.pendingEmail}. The email changes once it is followed.`,
+      pendingEmail: user.pendingEmail,
+    });
+  } catch (error) {
+    console.error("Error requesting email change:", error);
+    res.status(500).json({ message: "Failed to start the email change" });
+  }
+});
+
+// Security settings
+router.get("/settings", requirePermission("settings:manage"), async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({ message: "Failed to load settings" });
+  }
+});
+
+router.put("/settings", requirePermission("settings:manage"), async (req, res) => {
+  try {
+    res.json(await updateSettings(req.body));
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error updating settings:", error);
+    res.status(500).json({ message: "Failed to update settings" });
+  }
+});
+
+// Email invitations; the invitee picks their own password
+router.get("/invitations", requirePermission("users:create"), listInvitations);
+router.post("/invitations", requirePermission("users:create"), createInvitation);
+router.post("/invitations/send-unsent", requirePermission("users:create"), sendUnsentInvitations);
+router.post("/invitations/:id/resend", requirePermission("users:create"), resendInvitation);
+router.delete("/invitations/:id", requirePermission("users:create"), revokeInvitation);
+
+// Signup approval queue
+router.get("/signups", requirePermission("users:approve"), listSignups);
+router.post("/signups/:id/approve", requirePermission("users:approve"), approveSignup);
+router.post("/signups/:id/reject", requirePermission("users:approve"), rejectSignup);
+
+// Authentication log
+router.get("/auth-logs", requirePermission("logs:view"), listAuthLogs);
+router.delete("/auth-logs", requirePermission("logs:delete"), deleteAuthLogs);
+router.delete("/auth-logs/:id", requirePermission("logs:delete"), deleteAuthLog);
+
+// Session revocation ("kill session")
+router.post("/sessions/:tokenId/revoke", requirePermission("sessions:revoke"), revokeSession);
+router.post("/users/:id/revoke-sessions", requirePermission("sessions:revoke"), revokeUserSessions);
+
+module.exports = router;
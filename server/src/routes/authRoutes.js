@@ -5,8 +5,55 @@ const { protect, adminOnly } = require("../middleware/authMiddleware");
 module.exports =  {protect, adminOnly} ;
 const express = require("express");
 const User = require("../models/User");
+const { findByEmail, emailInUse } = require("../models/User");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { issueTokens, findRefreshToken, claimRefreshToken } = require("../utils/tokens");
+const { recordAuthEvent } = require("../utils/authLog");
+const { revokeFamily, revokeSessionByTokenId, revokeOtherSessions } = require("../utils/revocation");
+const { STATUS_MESSAGES, isActive } = require("../utils/accountStatus");
+const { hasPermission, permissionsFor, DEFAULT_ROLE } = require("../utils/permissions");
+const { loginWaitFor, recordLoginFailure, clearLoginFailures, rejectLoginAttempt } = require("../utils/lockout");
+const { rateLimit } = require("../middleware/rateLimit");
+const { PASSWORD_POLICY, validatePassword, changePassword } = require("../utils/passwordPolicy");
+const { sendTemplate, appUrl } = require("../utils/mailer");
+const { sendVerificationEmail, verifyEmail, resendVerification } = require("../controller/emailVerificationController");
+const { changeEmail, confirmEmailChange } = require("../controller/emailChangeController");
+const { getInvitation, acceptInvitation } = require("../controller/invitationController");
+const {
+    isTwoFactorRequired,
+    createLoginChallenge,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    verifyLoginChallenge,
+} = require("../controller/twoFactorController");
+
+// Set REQUIRE_SIGNUP_APPROVAL=true to queue every signup for review, not just admin requests
+const REQUIRE_SIGNUP_APPROVAL = process.env.REQUIRE_SIGNUP_APPROVAL === "true";
+
+// Shown after signing up, depending on whether an admin also has to approve the account
+const SIGNUP_MESSAGES = {
+    verify: "Account created! Check your email for a link to verify your address.",
+    verifyThenApprove: "Account created! Check your email for a link to verify your address. An administrator will then review your account.",
+};
+
+// Shown when a pending or rejected account tries to sign in
+const APPROVAL_MESSAGES = {
+    pending: "Your account is awaiting approval by an administrator",
+    rejected: "Your signup request was not approved",
+};
+
+// Per-IP limits on the endpoints that take guesses; lockouts cover guessing at a single account
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20, message: "Too many login attempts, please try again later" });
+const verificationLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5, message: "Too many requests, please try again later" });
+// Signed-in account changes, each of which checks the current password
+const accountChangeLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10, message: "Too many attempts, please try again later" });
+const invitationLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20, message: "Too many requests, please try again later" });
+
+// Two tabs refreshing at the same moment present the same token; only a later replay counts as theft
+const REUSE_GRACE_MS = 10 * 1000;
 
 const router = express.Router();
 
@@ -38,25 +85,42 @@ router.post("/register", async (req, res) => {
     try {
         const { fullName, email, password, role } = req.body;
 
+        const passwordProblem = validatePassword(password);
+        if (passwordProblem) return res.status(400).json({ message: passwordProblem });
+
         // Check if user already exists
-        let user = await User.findOne({ email });
-        if (user) return res.status(400).json({ message: "User already exists" });
+        if (await emailInUse(email)) return res.status(400).json({ message: "User already exists" });
 
         // Hash password before saving
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Create new user
-        user = new User({ fullName, email, password: hashedPassword, role: role || "user" });
+        // Self-signup never grants more than the default role; admin requests wait for an admin's approval
+        const requestedRole = role === "admin" ? "admin" : null;
+        const pending = Boolean(requestedRole) || REQUIRE_SIGNUP_APPROVAL;
+        const user = new User({
+            fullName,
+            email,
+            password: hashedPassword,
+            role: DEFAULT_ROLE,
+            requestedRole,
+            approvalStatus: pending ? "pending" : "approved",
+            emailVerified: false,
+        });
         await user.save();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
+        // No tokens until the address is confirmed; a failed send can be retried from the login page
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error("Verification email error:", error);
+        }
 
-        res.status(201).json({ message: "User registered successfully", token });
+        res.status(201).json({
+            message: pending ? SIGNUP_MESSAGES.verifyThenApprove : SIGNUP_MESSAGES.verify,
+            verificationRequired: true,
+            pending,
+        });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: "Server error", error });
@@ -64,30 +128,209 @@ router.post("/register", async (req, res) => {
 });
 
 // Login Route
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimiter, async (req, res) => {
     try {
         const { email, password,role} = req.body;
        // console.log(req.body);
        // console.log("Login attempt:", { email, password,role });
-        // Find user
-        const user = await User.findOne({ email });
-        if (!user) return res.status(400).json({ message: "Invalid email or password" });
+        // Find user; the address may be typed in any case
+        const user = await findByEmail(email);
+        if (!user) {
+            await recordAuthEvent(req, "login_failed", { email, reason: "unknown_email" });
+            return res.status(400).json({ message: "Invalid email or password" });
+        }
+
+        // Locked accounts are turned away before the password is even checked
+        const wait = loginWaitFor(user);
+        if (wait.retryAfterMs > 0) return rejectLoginAttempt(req, res, user, wait);
 
         // Check password using bcrypt
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ message: "Invalid email or password" });
-        if(role&&user.role!=role)
+        if (!isMatch) {
+            await recordAuthEvent(req, "login_failed", { user: user._id, email: user.email, role: user.role, reason: "invalid_password" });
+            await recordLoginFailure(req, user);
+            return res.status(400).json({ message: "Invalid email or password" });
+        }
+        if (!user.emailVerified) {
+            await recordAuthEvent(req, "login_failed", { user: user._id, email: user.email, role: user.role, reason: "email_unverified" });
+            return res.status(403).json({ message: "Please verify your email address before logging in", emailVerified: false });
+        }
+        if (user.approvalStatus !== "approved") {
+            await recordAuthEvent(req, "login_failed", { user: user._id, email: user.email, role: user.role, reason: `signup_${user.approvalStatus}` });
+            return res.status(403).json({ message: APPROVAL_MESSAGES[user.approvalStatus], approvalStatus: user.approvalStatus });
+        }
+        if (!isActive(user)) {
+            await recordAuthEvent(req, "login_failed", { user: user._id, email: user.email, role: user.role, reason: `account_${user.status}` });
+            return res.status(403).json({ message: STATUS_MESSAGES[user.status], accountStatus: user.status });
+        }
+        // The admin login is for accounts that can reach the admin panel, the user login for the rest
+        if(role&&(role==="admin")!==hasPermission(user.role,"admin:access"))
         {
+            await recordAuthEvent(req, "login_failed", { user: user._id, email: user.email, role: user.role, reason: "role_mismatch" });
             return res.status(403).json({message:"Unauthorized login attempt"});
         }
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: "1h" }
-        );
-
-        res.json({ message: "Login successful", token, role: user.role });
+        // With 2FA on, the password only earns a challenge; /login/2fa issues the tokens
+        if (user.twoFactor.enabled) {
+            return res.json({ message: "Enter your authentication code", twoFactorRequired: true, challengeToken: createLoginChallenge(user) });
+        }
+        // Generate JWT and refresh tokens
+        await clearLoginFailures(user);
+        const { token, refreshToken, tokenId, expiresAt } = await issueTokens(user);
+        await recordAuthEvent(req, "login", { user: user._id, email: user.email, role: user.role, tokenId, expiresAt });
+
+        res.json({ message: "Login successful", token, refreshToken, role: user.role });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Change Password Route: needs the current password; every other session is signed out
+router.post("/change-password", accountChangeLimiter, protect, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.userId).select("+passwordHistory");
+        if (!user) return res.status(401).json({ message: "User no longer exists" });
+
+        if (!(await bcrypt.compare(String(currentPassword || ""), user.password))) {
+            return res.status(400).json({ message: "Current password is incorrect" });
+        }
+
+        const passwordProblem = await changePassword(user, newPassword);
+        if (passwordProblem) return res.status(400).json({ message: passwordProblem });
+        await user.save();
+
+        const signedOut = await revokeOtherSessions({ user: user._id, keepTokenId: req.user.jti, reason: "password_changed" });
+        await recordAuthEvent(req, "password_changed", { user: user._id, email: user.email, role: user.role, tokenId: req.user.jti });
+
+        // The email is a heads-up; failing to send it doesn't undo the change
+        try {
+            await sendTemplate(user.email, "passwordChanged", {
+                name: user.fullName,
+                changedAt: new Date().toUTCString(),
+                link: appUrl("/forgot-password"),
+            });
+        } catch (error) {
+            console.error("Password change email error:", error);
+        }
+
+        res.json({ message: "Password changed", signedOut });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Password Policy Route: the rules register and password changes enforce
+router.get("/password-policy", (req, res) => {
+    res.json(PASSWORD_POLICY);
+});
+
+// Two-Factor Authentication Routes
+router.post("/login/2fa", loginLimiter, verifyLoginChallenge);
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/backup-codes", protect, regenerateBackupCodes);
+
+// Email Verification Routes
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", verificationLimiter, resendVerification);
+
+// Email Change Routes: the new address must be confirmed before it replaces the old one
+router.post("/change-email", accountChangeLimiter, protect, changeEmail);
+router.post("/confirm-email-change", confirmEmailChange);
+
+// Invitation Routes: the token in an invitation email lets its holder create the account
+router.get("/invitations/:token", invitationLimiter, getInvitation);
+router.post("/invitations/accept", invitationLimiter, acceptInvitation);
+
+// Current User Route: confirms the token and returns who it belongs to
+router.get("/me", protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId, "fullName email pendingEmail role twoFactor.enabled");
+        if (!user) return res.status(401).json({ message: "User no longer exists" });
+        const twoFactorRequired = await isTwoFactorRequired(user.role);
+
+        res.json({
+            id: user._id,
+            fullName: user.fullName,
+            email: user.email,
+            // Waiting for confirmation from the new address, if a change was requested
+            pendingEmail: user.pendingEmail,
+            role: user.role,
+            permissions: permissionsFor(user.role),
+            twoFactorEnabled: user.twoFactor.enabled,
+            // The admin panel stays locked until this user turns 2FA on
+            twoFactorSetupRequired: twoFactorRequired && !user.twoFactor.enabled,
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Refresh Route: trades a refresh token for a new access/refresh pair
+router.post("/refresh", async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) return res.status(401).json({ message: "Refresh token required" });
+
+        const stored = await findRefreshToken(refreshToken);
+        if (!stored || stored.revokedAt || stored.expiresAt <= new Date()) {
+            return res.status(401).json({ message: "Session has ended, please log in again" });
+        }
+
+        if (stored.usedAt) {
+            if (Date.now() - stored.usedAt.getTime() < REUSE_GRACE_MS) {
+                return res.status(409).json({ message: "Token was already refreshed" });
+            }
+            // A rotated token came back: assume it was stolen and end the whole session
+            await revokeFamily(stored.family, "refresh_token_reuse");
+            await recordAuthEvent(req, "refresh_reused", { user: stored.user, tokenId: stored.accessTokenId });
+            return res.status(401).json({ message: "Session has ended, please log in again" });
+        }
+
+        if (!(await claimRefreshToken(stored))) {
+            return res.status(409).json({ message: "Token was already refreshed" });
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user) {
+            await revokeFamily(stored.family, "user_deleted");
+            return res.status(401).json({ message: "Session has ended, please log in again" });
+        }
+        if (!isActive(user)) {
+            await revokeFamily(stored.family, `account_${user.status}`);
+            return res.status(401).json({ message: STATUS_MESSAGES[user.status], accountStatus: user.status });
+        }
+
+        const next = await issueTokens(user, stored.family);
+        await recordAuthEvent(req, "token_refreshed", {
+            user: user._id,
+            email: user.email,
+            role: user.role,
+            tokenId: next.tokenId,
+            expiresAt: next.expiresAt,
+        });
+
+        res.json({ token: next.token, refreshToken: next.refreshToken, role: user.role });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: "Server error", error });
+    }
+});
+
+// Logout Route: the token and its refresh chain stop working immediately
+router.post("/logout", protect, async (req, res) => {
+    try {
+        const { userId, role, jti, exp } = req.user;
+        await revokeSessionByTokenId({ tokenId: jti, user: userId, expiresAt: new Date(exp * 1000), reason: "logout" });
+        await recordAuthEvent(req, "logout", { user: userId, role, tokenId: jti });
+
+        res.json({ message: "Logged out" });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: "Server error", error });
@@ -0,0 +1,12 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const { getBoard, saveBoard, resetBoard } = require("../controller/boardController");
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", getBoard);
+router.put("/", saveBoard);
+router.delete("/", resetBoard);
+
+module.exports = router;
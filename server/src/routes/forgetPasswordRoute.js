@@ -64,9 +64,15 @@
 
 const express = require("express");
 const { forgotPassword, resetPassword } = require("../controller/forgotPasswordController");
+const { rateLimit } = require("../middleware/rateLimit");
 const router = express.Router();
 
-router.post("/forgot-password", forgotPassword);
-router.post("/reset-password", resetPassword);
+// Per-IP limits, counted separately so a few rejected new passwords don't block
+// asking for another link. forgotPassword also limits how often one account is emailed.
+const forgotPasswordLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5, message: "Too many requests, please try again later" });
+const resetPasswordLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10, message: "Too many attempts, please try again later" });
+
+router.post("/forgot-password", forgotPasswordLimiter, forgotPassword);
+router.post("/reset-password", resetPasswordLimiter, resetPassword);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const { protect } = require("../middleware/authMiddleware");
+const { getTasks, getTask, createTask, updateTask, deleteTask, moveTask, getAssignees } = require("../controller/taskController");
+const router = express.Router();
+
+router.use(protect);
+
+router.get("/", getTasks);
+router.post("/", createTask);
+router.get("/assignees", getAssignees);
+router.get("/:id", getTask);
+router.put("/:id", updateTask);
+router.patch("/:id", updateTask);
+router.delete("/:id", deleteTask);
+router.post("/:id/move", moveTask);
+
+module.exports = router;
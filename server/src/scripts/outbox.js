@@ -0,0 +1,20 @@
+// Lists the emails the "outbox" mail transport has written, oldest first, so
+// development setups can check what was sent without a mail server.
+// Usage: npm run outbox [-- --full]
+const { readOutbox } = require("../utils/mailer");
+
+const full = process.argv.includes("--full");
+
+readOutbox()
+    .then((messages) => {
+        if (!messages.length) return console.log("The outbox is empty.");
+        messages.forEach((message) => {
+            const to = (message.to || []).map((recipient) => recipient.address).join(", ");
+            console.log(`${message.subject}\n  to: ${to}`);
+            if (full) console.log(`\n${message.text}\n`);
+        });
+    })
+    .catch((error) => {
+        console.error("Could not read the outbox:", error);
+        process.exitCode = 1;
+    });
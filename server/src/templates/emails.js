@@ -0,0 +1,133 @@
+// Email templates. Each one takes the values it needs and returns
+// { subject, text, html }; send them with sendTemplate in utils/mailer.js.
+
+const APP_NAME = "Task Manager";
+
+const escapeHtml = (value) =>
+    String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// Wraps body HTML in the shared layout; body is trusted markup built below
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+      ${body}
+      <p style="margin-top:32px;font-size:12px;color:#6b7280;">${APP_NAME}</p>
+    </div>
+  </body>
+</html>`;
+
+const paragraph = (text) => `<p style="line-height:1.5;">${escapeHtml(text)}</p>`;
+
+const button = (label, url) =>
+    `<p style="margin:24px 0;"><a href="${escapeHtml(url)}" style="background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;">${escapeHtml(label)}</a></p>
+      <p style="font-size:12px;color:#6b7280;word-break:break-all;">Or open this link: ${escapeHtml(url)}</p>`;
+
+const taskList = (tasks) =>
+    `<ul>${tasks
+        .map((task) => `<li>${escapeHtml(task.title)}${task.deadline ? ` (due ${escapeHtml(new Date(task.deadline).toDateString())})` : ""}</li>`)
+        .join("")}</ul>`;
+
+const taskLines = (tasks) =>
+    tasks.map((task) => `- ${task.title}${task.deadline ? ` (due ${new Date(task.deadline).toDateString()})` : ""}`).join("\n");
+
+const templates = {
+    passwordReset: ({ name, link }) => ({
+        subject: "Reset Your Password",
+        text: `Hello ${name},\n\nClick the link to reset your password: ${link}\n\nThe link expires in 15 minutes. If you didn't ask for this, you can ignore this email.`,
+        html: layout(
+            "Reset your password",
+            `${paragraph(`Hello ${name},`)}${paragraph("Click the button below to choose a new password. The link expires in 15 minutes.")}${button("Reset Password", link)}${paragraph("If you didn't ask for this, you can ignore this email.")}`
+        ),
+    }),
+
+    emailVerification: ({ name, link }) => ({
+        subject: "Verify Your Email",
+        text: `Hello ${name},\n\nClick the link to verify your email address: ${link}\n\nThe link expires in 24 hours.`,
+        html: layout(
+            "Verify your email",
+            `${paragraph(`Hello ${name},`)}${paragraph("Confirm your email address to finish setting up your account. The link expires in 24 hours.")}${button("Verify Email", link)}`
+        ),
+    }),
+
+    emailChange: ({ name, email, link }) => ({
+        subject: "Confirm Your New Email",
+        text: `Hello ${name},\n\nA request was made to change the email address of your account to ${email}. Click the link to confirm it: ${link}\n\nThe link expires in 24 hours. Until then your account keeps its current address.`,
+        html: layout(
+            "Confirm your new email",
+            `${paragraph(`Hello ${name},`)}${paragraph(`A request was made to change the email address of your account to ${email}. The link expires in 24 hours; until then your account keeps its current address.`)}${button("Confirm Email", link)}`
+        ),
+    }),
+
+    emailChanged: ({ name, email, link }) => ({
+        subject: "Your email address was changed",
+        text: `Hello ${name},\n\nYour account now uses ${email} and this address will no longer receive its emails.\n\nIf you didn't do this, contact an administrator right away: ${link}`,
+        html: layout(
+            "Your email address was changed",
+            `${paragraph(`Hello ${name},`)}${paragraph(`Your account now uses ${email} and this address will no longer receive its emails.`)}${paragraph("If you didn't do this, contact an administrator right away.")}${button("Open Task Manager", link)}`
+        ),
+    }),
+
+    invitation: ({ name, inviterName, role, link, expiresAt }) => ({
+        subject: `You're invited to ${APP_NAME}`,
+        text: `Hello${name ? ` ${name}` : ""},\n\n${inviterName} has invited you to join ${APP_NAME} as ${role}. Choose a password to set up your account: ${link}\n\nThe invitation expires on ${expiresAt}.`,
+        html: layout(
+            `You're invited to ${APP_NAME}`,
+            `${paragraph(`Hello${name ? ` ${name}` : ""},`)}${paragraph(`${inviterName} has invited you to join ${APP_NAME} as ${role}. Choose a password to set up your account.`)}${button("Accept Invitation", link)}${paragraph(`The invitation expires on ${expiresAt}.`)}`
+        ),
+    }),
+
+    signupApproved: ({ name, role, link }) => ({
+        subject: "Your account has been approved",
+        text: `Hello ${name},\n\nYour account has been approved${role ? ` with the ${role} role` : ""}. You can now sign in: ${link}`,
+        html: layout(
+            "Your account has been approved",
+            `${paragraph(`Hello ${name},`)}${paragraph(`Your account has been approved${role ? ` with the ${role} role` : ""}. You can now sign in.`)}${button("Log In", link)}`
+        ),
+    }),
+
+    signupRejected: ({ name, note }) => ({
+        subject: "Your signup request",
+        text: `Hello ${name},\n\nYour signup request was not approved.${note ? `\n\nReason: ${note}` : ""}`,
+        html: layout(
+            "Your signup request",
+            `${paragraph(`Hello ${name},`)}${paragraph("Your signup request was not approved.")}${note ? paragraph(`Reason: ${note}`) : ""}`
+        ),
+    }),
+
+    passwordChanged: ({ name, changedAt, link }) => ({
+        subject: "Your password was changed",
+        text: `Hello ${name},\n\nThe password for your account was changed on ${changedAt}. Any other devices have been signed out.\n\nIf you didn't do this, reset your password right away and contact an administrator: ${link}`,
+        html: layout(
+            "Your password was changed",
+            `${paragraph(`Hello ${name},`)}${paragraph(`The password for your account was changed on ${changedAt}. Any other devices have been signed out.`)}${paragraph("If you didn't do this, reset your password right away and contact an administrator.")}${button("Reset Password", link)}`
+        ),
+    }),
+
+    // tasks: [{ title, deadline }]
+    taskReminder: ({ name, tasks, link }) => ({
+        subject: tasks.length === 1 ? `Reminder: "${tasks[0].title}" is due soon` : `Reminder: ${tasks.length} tasks are due soon`,
+        text: `Hello ${name},\n\nThese tasks are due soon:\n${taskLines(tasks)}\n\nOpen your board: ${link}`,
+        html: layout(
+            "Tasks due soon",
+            `${paragraph(`Hello ${name},`)}${paragraph("These tasks are due soon:")}${taskList(tasks)}${button("Open Your Board", link)}`
+        ),
+    }),
+
+    // Each group is { title, tasks }, e.g. "Overdue" or "Completed this week"
+    taskDigest: ({ name, period, groups, link }) => ({
+        subject: `Your ${period} task digest`,
+        text: `Hello ${name},\n\nHere is your ${period} summary.\n\n${groups
+            .map((group) => `${group.title} (${group.tasks.length})\n${taskLines(group.tasks) || "- none"}`)
+            .join("\n\n")}\n\nOpen your board: ${link}`,
+        html: layout(
+            `Your ${period} task digest`,
+            `${paragraph(`Hello ${name},`)}${groups
+                .map((group) => `<h2 style="font-size:16px;margin:16px 0 4px;">${escapeHtml(group.title)} (${group.tasks.length})</h2>${group.tasks.length ? taskList(group.tasks) : paragraph("None")}`)
+                .join("")}${button("Open Your Board", link)}`
+        ),
+    }),
+};
+
+module.exports = templates;
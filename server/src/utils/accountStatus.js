@@ -0,0 +1,13 @@
+// Shown when a suspended or deactivated account tries to sign in or use a session
+const STATUS_MESSAGES = {
+    suspended: "Your account has been suspended. Contact an administrator.",
+    deactivated: "This account has been deactivated.",
+};
+
+/**
+ * @param {Object} user - User document; accounts from before the status field count as active
+ * @returns {boolean} Whether the account may sign in
+ */
+const isActive = (user) => !user.status || user.status === "active";
+
+module.exports = { STATUS_MESSAGES, isActive };
@@ -0,0 +1,28 @@
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+
+/**
+ * Writes an audit entry for an admin action. Unlike auth logging this is part
+ * of the change it describes: pass the transaction's session so both commit
+ * or roll back together, and let errors propagate.
+ * @param {Object} req - Express request; the actor is req.user
+ * @param {string} action - One of AuditLog.AUDIT_ACTIONS
+ * @param {Object} details - target, targetEmail, details
+ * @param {Object} [session] - Mongoose session of the surrounding transaction
+ * @returns {Promise<Object>} The audit entry
+ */
+const recordAudit = async (req, action, { target = null, targetEmail = null, details = {} } = {}, session = null) => {
+    const actor = await User.findById(req.user.userId, "email").session(session);
+    const [entry] = await AuditLog.create([{
+        action,
+        actor: req.user.userId,
+        actorEmail: actor ? actor.email : null,
+        target,
+        targetEmail,
+        details,
+        ipAddress: req.ip || null,
+    }], { session });
+    return entry;
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,56 @@
+const jwt = require("jsonwebtoken");
+const AuthLog = require("../models/AuthLog");
+const User = require("../models/User");
+
+/**
+ * Writes an auth event for the current request. Logging must never break
+ * the request it describes, so failures are reported and swallowed.
+ * @param {Object} req - Express request, used for IP and user agent
+ * @param {string} event - One of AuthLog.AUTH_EVENTS
+ * @param {Object} details - user, email, role, tokenId, reason, expiresAt
+ */
+const recordAuthEvent = async (req, event, details = {}) => {
+    try {
+        const entry = { ...details };
+        if (entry.user && !entry.email) {
+            const user = await User.findById(entry.user, "email");
+            entry.email = user ? user.email : null;
+        }
+
+        await AuthLog.create({
+            ...entry,
+            event,
+            ipAddress: req.ip || null,
+            userAgent: req.get("User-Agent") || null,
+        });
+    } catch (error) {
+        console.error("recordAuthEvent error:", error);
+    }
+};
+
+/**
+ * Records that an expired token was presented. Clients tend to retry with the
+ * same token, so only the first sighting of each token is stored.
+ * @param {Object} req - Express request
+ * @param {string} token - The expired JWT
+ */
+const recordTokenExpired = async (req, token) => {
+    try {
+        const payload = jwt.decode(token);
+        if (!payload || !payload.jti) return;
+
+        const exists = await AuthLog.exists({ tokenId: payload.jti, event: "token_expired" });
+        if (exists) return;
+
+        await recordAuthEvent(req, "token_expired", {
+            user: payload.userId,
+            role: payload.role,
+            tokenId: payload.jti,
+            expiresAt: new Date(payload.exp * 1000),
+        });
+    } catch (error) {
+        console.error("recordTokenExpired error:", error);
+    }
+};
+
+module.exports = { recordAuthEvent, recordTokenExpired };
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV support for the user import/export; no dependency needed
+// for a handful of columns.
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells containing commas,
+ * quotes ("") and line breaks, CRLF line endings and a leading byte order mark.
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+const escapeCell = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    // Stops a name like "=HYPERLINK(...)" from running when the file is opened
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} header - Column names
+ * @param {Array[]} rows - One array of values per line, in header order
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (header, rows) => [header, ...rows].map((cells) => cells.map(escapeCell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * Undoes the formula guard toCsv adds, so exported files import unchanged.
+ * @param {string} value - Cell from parseCsv
+ * @returns {string}
+ */
+const unescapeFormula = (value) => (/^'[=+\-@]/.test(value) ? value.slice(1) : value);
+
+module.exports = { parseCsv, toCsv, unescapeFormula };
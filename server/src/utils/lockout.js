@@ -0,0 +1,113 @@
+const User = require("../models/User");
+const { recordAuthEvent } = require("./authLog");
+
+// Failed logins before each lockout; the account locks at every multiple of this
+const MAX_FAILED_ATTEMPTS = 5;
+// First lockout; each further lockout in a row doubles it, up to MAX_LOCK_MS
+const BASE_LOCK_MS = 15 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+// From this many failures on, each new attempt has to wait 1s, 2s, 4s... after the last one
+const DELAY_AFTER_ATTEMPTS = 3;
+
+/**
+ * How long before this account may try to log in again: the rest of a
+ * lockout, or the progressive delay after recent failures.
+ * @param {Object} user - User document
+ * @returns {{ locked: boolean, retryAfterMs: number }}
+ */
+const loginWaitFor = (user) => {
+    const now = Date.now();
+    if (user.lockUntil && user.lockUntil.getTime() > now) {
+        return { locked: true, retryAfterMs: user.lockUntil.getTime() - now };
+    }
+
+    if (user.failedLoginAttempts >= DELAY_AFTER_ATTEMPTS && user.lastFailedLoginAt) {
+        const delay = 1000 * 2 ** (user.failedLoginAttempts - DELAY_AFTER_ATTEMPTS);
+        const retryAfterMs = user.lastFailedLoginAt.getTime() + delay - now;
+        if (retryAfterMs > 0) return { locked: false, retryAfterMs };
+    }
+
+    return { locked: false, retryAfterMs: 0 };
+};
+
+/**
+ * Counts a failed attempt (wrong password or 2FA code) and locks the account
+ * when it reaches the next multiple of MAX_FAILED_ATTEMPTS.
+ * @param {Object} req - Express request, for the auth log
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (req, user) => {
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+        { new: true, projection: "email role failedLoginAttempts" }
+    );
+    if (!updated || updated.failedLoginAttempts % MAX_FAILED_ATTEMPTS !== 0) return;
+
+    const lockouts = updated.failedLoginAttempts / MAX_FAILED_ATTEMPTS;
+    const lockUntil = new Date(Date.now() + Math.min(BASE_LOCK_MS * 2 ** (lockouts - 1), MAX_LOCK_MS));
+    await User.updateOne({ _id: user._id }, { $set: { lockUntil } });
+    await recordAuthEvent(req, "account_locked", {
+        user: updated._id,
+        email: updated.email,
+        role: updated.role,
+        reason: `${updated.failedLoginAttempts}_failed_attempts`,
+        expiresAt: lockUntil,
+    });
+};
+
+/**
+ * Forgets earlier failures after a successful login or an admin unlock.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockUntil) return;
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lockUntil: null, lastFailedLoginAt: null } }
+    );
+};
+
+/**
+ * @param {number} ms
+ * @returns {string} e.g. "15 minutes" or "4 seconds"
+ */
+const describeWait = (ms) => {
+    if (ms >= 60 * 1000) {
+        const minutes = Math.ceil(ms / 60000);
+        return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+    }
+    const seconds = Math.ceil(ms / 1000);
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+};
+
+/**
+ * Turns away a login attempt made during a lockout or progressive delay.
+ * @param {Object} req - Express request, for the auth log
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {{ locked: boolean, retryAfterMs: number }} wait - From loginWaitFor
+ * @returns {Promise<Object>} The sent response
+ */
+const rejectLoginAttempt = async (req, res, user, wait) => {
+    await recordAuthEvent(req, "login_failed", {
+        user: user._id,
+        email: user.email,
+        role: user.role,
+        reason: wait.locked ? "account_locked" : "too_many_attempts",
+    });
+
+    const retryAfter = Math.ceil(wait.retryAfterMs / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        message: wait.locked
+            ? `Account locked after too many failed attempts. Try again in ${describeWait(wait.retryAfterMs)}.`
+            : `Too many failed attempts. Try again in ${describeWait(wait.retryAfterMs)}.`,
+        retryAfter,
+        locked: wait.locked,
+    });
+};
+
+module.exports = { loginWaitFor, recordLoginFailure, clearLoginFailures, rejectLoginAttempt };
@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const templates = require("../templates/emails");
+require("dotenv").config();
+
+// Mail service, configured through the environment:
+//   MAIL_TRANSPORT   "smtp" (the default when EMAIL_USER is set), "outbox" (the default
+//                    otherwise: each email is written as JSON to MAIL_OUTBOX_DIR, for
+//                    development and tests) or "disabled"
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//                    SMTP server; without SMTP_HOST, Gmail with EMAIL_USER/EMAIL_PASS
+//   MAIL_FROM        Sender address, EMAIL_USER by default
+//   MAIL_OUTBOX_DIR  Outbox folder, server/outbox by default
+//   APP_URL          Public URL of the frontend, used for links in emails
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.EMAIL_USER ? "smtp" : "outbox");
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER;
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../outbox");
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+const createTransport = () => {
+  switch (MAIL_TRANSPORT) {
+    case "smtp":
+      if (!process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+          service: "gmail",
+          auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+        });
+      }
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    case "outbox":
+      return nodemailer.createTransport({ jsonTransport: true });
+    case "disabled":
+      return null;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"; use smtp, outbox or disabled`);
+  }
+};
+
+const transporter = createTransport();
+
+/**
+ * Sends an email through the configured transport.
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} Nodemailer send info; { skipped: true } when mail is disabled
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transporter) return { skipped: true };
+
+  const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+  if (MAIL_TRANSPORT === "outbox") {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    info.outboxFile = path.join(OUTBOX_DIR, `${Date.now()}-${crypto.randomUUID()}.json`);
+    await fs.writeFile(info.outboxFile, info.message);
+  }
+  return info;
+};
+
+/**
+ * Renders one of the templates in templates/emails.js and sends it.
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name, e.g. "passwordReset"
+ * @param {Object} data - Values the template needs
+ * @returns {Promise<Object>} Same as sendMail
+ */
+const sendTemplate = (to, template, data) => {
+  const render = templates[template];
+  if (!render) throw new Error(`Unknown email template "${template}"`);
+  return sendMail({ to, ...render(data) });
+};
+
+/**
+ * Builds an absolute link into the frontend.
+ * @param {string} pathname - e.g. "/reset-password"
+ * @param {Object} [params] - Query string values
+ * @returns {string}
+ */
+const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname.replace(/^\/+/, ""), `${APP_URL}/`);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+};
+
+/**
+ * Reads the emails in the outbox, oldest first, so tests and developers can check what was sent.
+ * @returns {Promise<Object[]>} Messages as written by Nodemailer's JSON transport
+ */
+const readOutbox = async () => {
+  const files = await fs.readdir(OUTBOX_DIR).catch(() => []);
+  const jsonFiles = files.filter((file) => file.endsWith(".json")).sort();
+  return Promise.all(jsonFiles.map(async (file) => JSON.parse(await fs.readFile(path.join(OUTBOX_DIR, file), "utf8"))));
+};
+
+module.exports = { sendMail, sendTemplate, appUrl, readOutbox };
@@ -0,0 +1,70 @@
+const bcrypt = require("bcryptjs");
+
+// The one password policy. GET /api/auth/password-policy sends it to the
+// frontend, whose strength meter checks the same rules (src/utils/passwordPolicy.js).
+const PASSWORD_POLICY = {
+    minLength: 8,
+    maxLength: 128,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireDigit: true,
+    requireSymbol: true,
+    // A new password can't match the current one or the ones before it, this many in all
+    historySize: 5,
+};
+
+const RULES = [
+    { label: `at least ${PASSWORD_POLICY.minLength} characters`, test: (p) => p.length >= PASSWORD_POLICY.minLength },
+    { label: `at most ${PASSWORD_POLICY.maxLength} characters`, test: (p) => p.length <= PASSWORD_POLICY.maxLength },
+    PASSWORD_POLICY.requireUppercase && { label: "an uppercase letter", test: (p) => /[A-Z]/.test(p) },
+    PASSWORD_POLICY.requireLowercase && { label: "a lowercase letter", test: (p) => /[a-z]/.test(p) },
+    PASSWORD_POLICY.requireDigit && { label: "a number", test: (p) => /[0-9]/.test(p) },
+    PASSWORD_POLICY.requireSymbol && { label: "a symbol", test: (p) => /[^A-Za-z0-9]/.test(p) },
+].filter(Boolean);
+
+/**
+ * @param {*} password - Candidate password from a request body
+ * @returns {string|null} What is wrong with it, or null when it meets the policy
+ */
+const validatePassword = (password) => {
+    if (typeof password !== "string" || !password) return "Password is required";
+
+    const missing = RULES.filter((rule) => !rule.test(password)).map((rule) => rule.label);
+    return missing.length ? `Password needs ${missing.join(", ")}.` : null;
+};
+
+/**
+ * Whether the password matches the user's current one or one in their history.
+ * @param {Object} user - User document loaded with +passwordHistory
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>}
+ */
+const isPasswordReused = async (user, password) => {
+    for (const hash of [user.password, ...(user.passwordHistory || [])]) {
+        if (hash && (await bcrypt.compare(password, hash))) return true;
+    }
+    return false;
+};
+
+/**
+ * Checks a new password for an existing user against the policy and their
+ * history, and if it passes sets it, moving the old hash into the history.
+ * The caller saves the user.
+ * @param {Object} user - User document loaded with +passwordHistory
+ * @param {*} password - New password from a request body
+ * @returns {Promise<string|null>} Why it was refused, or null when it was set
+ */
+const changePassword = async (user, password) => {
+    const problem = validatePassword(password);
+    if (problem) return problem;
+
+    if (await isPasswordReused(user, password)) {
+        return `Choose a password you haven't used for your last ${PASSWORD_POLICY.historySize} passwords.`;
+    }
+
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, PASSWORD_POLICY.historySize - 1);
+    user.password = await bcrypt.hash(password, 10);
+    return null;
+};
+
+module.exports = { PASSWORD_POLICY, validatePassword, changePassword };
@@ -0,0 +1,71 @@
+// Named roles and the capabilities they grant. Routes check permissions,
+// never role names, so adding a role only means adding an entry here.
+
+const PERMISSIONS = [
+    "tasks:read:own",
+    "tasks:write:own",
+    "tasks:read:any",
+    "tasks:write:any",
+    "admin:access",
+    "users:read",
+    "users:create",
+    "users:update",
+    "users:delete",
+    "users:approve",
+    "logs:view",
+    "logs:delete",
+    "sessions:revoke",
+    "settings:manage",
+    // Only super admins hold this, which (through canManageRole) is what
+    // lets them create, edit or remove other admins
+    "admins:manage",
+];
+
+const USER_PERMISSIONS = ["tasks:read:own", "tasks:write:own"];
+const MANAGER_PERMISSIONS = [...USER_PERMISSIONS, "tasks:read:any", "tasks:write:any", "admin:access", "users:read"];
+const ADMIN_PERMISSIONS = [
+    ...MANAGER_PERMISSIONS,
+    "users:create",
+    "users:update",
+    "users:delete",
+    "users:approve",
+    "logs:view",
+    "logs:delete",
+    "sessions:revoke",
+    "settings:manage",
+];
+
+const ROLE_PERMISSIONS = {
+    user: USER_PERMISSIONS,
+    manager: MANAGER_PERMISSIONS,
+    admin: ADMIN_PERMISSIONS,
+    super_admin: PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const DEFAULT_ROLE = "user";
+
+/**
+ * @param {string} role - Role name
+ * @returns {string[]} Permissions granted by the role (empty for unknown roles)
+ */
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * @param {string} role - Role name
+ * @param {string} permission - e.g. "users:delete"
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+/**
+ * Whether someone with actorRole may assign targetRole, or act on a user who
+ * holds it. Nobody can hand out or touch more power than they have themselves.
+ * @param {string} actorRole - Role of the signed-in user
+ * @param {string} targetRole - Role being assigned or held by the target user
+ * @returns {boolean}
+ */
+const canManageRole = (actorRole, targetRole) =>
+    ROLES.includes(targetRole) && permissionsFor(targetRole).every((permission) => hasPermission(actorRole, permission));
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES, DEFAULT_ROLE, permissionsFor, hasPermission, canManageRole };
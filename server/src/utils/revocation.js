@@ -0,0 +1,86 @@
+const RevokedToken = require("../models/RevokedToken");
+const RefreshToken = require("../models/RefreshToken");
+
+// Fallback lifetime when the token's own expiry is unknown; matches the access token TTL
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Adds a token to the revocation store. Revoking twice is harmless.
+ * @param {Object} options
+ * @param {string} options.tokenId - The token's jti
+ * @param {string} [options.user] - Owner of the token
+ * @param {Date} [options.expiresAt] - When the token expires on its own
+ * @param {string} [options.reason] - e.g. "logout" or "revoked_by_admin"
+ */
+const revokeToken = async ({ tokenId, user = null, expiresAt, reason = "logout" }) => {
+    await RevokedToken.updateOne(
+        { tokenId },
+        { $setOnInsert: { tokenId, user, reason, expiresAt: expiresAt || new Date(Date.now() + DEFAULT_TTL_MS) } },
+        { upsert: true }
+    );
+};
+
+/**
+ * @param {string} tokenId - The token's jti
+ * @returns {Promise<boolean>} Whether the token has been revoked
+ */
+const isRevoked = async (tokenId) => Boolean(await RevokedToken.exists({ tokenId }));
+
+/**
+ * Ends a whole refresh-token family: no token in it can be refreshed again,
+ * and any access token it issued that is still live is revoked too.
+ * @param {string} family - Rotation chain id
+ * @param {string} reason - Stored on the revoked access tokens
+ */
+const revokeFamily = async (family, reason) => {
+    await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+    const live = await RefreshToken.find({ family, accessExpiresAt: { $gt: new Date() } });
+    for (const entry of live) {
+        await revokeToken({ tokenId: entry.accessTokenId, user: entry.user, expiresAt: entry.accessExpiresAt, reason });
+    }
+};
+
+/**
+ * Ends the session an access token belongs to, including its refresh chain.
+ * @param {Object} options - Same as revokeToken
+ */
+const revokeSessionByTokenId = async ({ tokenId, user, expiresAt, reason }) => {
+    await revokeToken({ tokenId, user, expiresAt, reason });
+
+    const entry = await RefreshToken.findOne({ accessTokenId: tokenId }, "family");
+    if (entry) await revokeFamily(entry.family, reason);
+};
+
+/**
+ * Ends every session of a user except the one the given access token belongs to.
+ * @param {Object} options
+ * @param {string} options.user - The user's id
+ * @param {string} options.keepTokenId - jti of the access token whose session stays signed in
+ * @param {string} options.reason - Stored on the revoked access tokens
+ * @returns {Promise<number>} How many sessions were ended
+ */
+const revokeOtherSessions = async ({ user, keepTokenId, reason }) => {
+    const current = await RefreshToken.findOne({ accessTokenId: keepTokenId }, "family");
+    const families = await RefreshToken.distinct("family", {
+        user,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        ...(current && { family: { $ne: current.family } }),
+    });
+    for (const family of families) {
+        await revokeFamily(family, reason);
+    }
+    return families.length;
+};
+
+/**
+ * Ends every session of a user, e.g. when the account is suspended.
+ * @param {Object} options
+ * @param {string} options.user - The user's id
+ * @param {string} options.reason - Stored on the revoked access tokens
+ * @returns {Promise<number>} How many sessions were ended
+ */
+const revokeAllSessions = ({ user, reason }) => revokeOtherSessions({ user, keepTokenId: null, reason });
+
+module.exports = { revokeToken, isRevoked, revokeFamily, revokeSessionByTokenId, revokeOtherSessions, revokeAllSessions };
@@ -0,0 +1,29 @@
+const AppSettings = require("../models/AppSettings");
+
+const EDITABLE_SETTINGS = ["requireTwoFactorForAdmins"];
+
+/**
+ * @returns {Promise<Object>} Current settings, with defaults when none are stored yet
+ */
+const getSettings = async () =>
+    (await AppSettings.findOne({ key: "global" }).lean()) || new AppSettings().toObject();
+
+/**
+ * Saves the editable settings present in updates; anything else is ignored.
+ * @param {Object} updates
+ * @returns {Promise<Object>} The saved settings
+ */
+const updateSettings = (updates) => {
+    const changes = {};
+    for (const field of EDITABLE_SETTINGS) {
+        if (updates[field] !== undefined) changes[field] = updates[field];
+    }
+    return AppSettings.findOneAndUpdate({ key: "global" }, changes, {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+    }).lean();
+};
+
+module.exports = { getSettings, updateSettings };
@@ -0,0 +1,150 @@
+const Task = require("../models/Task");
+const User = require("../models/User");
+const { ACTIVE_FILTER } = require("../models/User");
+const { DONE_STATUS } = require("./taskStatus");
+const { sendTemplate, appUrl } = require("./mailer");
+
+// Scheduled task emails, configured through the environment:
+//   TASK_REMINDERS   "off" to stop deadline reminders; otherwise each assignee is
+//                    emailed once about open tasks due within the next 24 hours
+//   TASK_DIGEST      "daily", "weekly" (the default) or "off": a summary of each
+//                    user's overdue, upcoming and recently completed tasks
+const REMINDERS_ENABLED = process.env.TASK_REMINDERS !== "off";
+const DIGEST_PERIOD = process.env.TASK_DIGEST || "weekly";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const REMINDER_WINDOW_MS = DAY_MS;
+const DIGEST_PERIODS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+// How often the schedule checks for reminders and digests that are due
+const CHECK_INTERVAL_MS = HOUR_MS;
+
+const openTask = { archivedAt: null, status: { $ne: DONE_STATUS } };
+
+// Assignees do the work; tasks from before assignees existed fall back to their creator
+const recipientsOf = (task) => (task.assignees && task.assignees.length ? task.assignees : [task.owner]);
+
+/**
+ * Emails every assignee about their open tasks due within the next 24 hours.
+ * Each task is only reminded about once; changing its deadline re-arms it.
+ * @param {Date} [now]
+ * @returns {Promise<number>} How many emails were sent
+ */
+const sendTaskReminders = async (now = new Date()) => {
+    const tasks = await Task.find({
+        ...openTask,
+        reminderSentAt: null,
+        deadline: { $gte: now, $lte: new Date(now.getTime() + REMINDER_WINDOW_MS) },
+    }, "title deadline owner assignees").sort({ deadline: 1 });
+    if (!tasks.length) return 0;
+
+    const byUser = new Map();
+    tasks.forEach((task) => {
+        recipientsOf(task).forEach((id) => {
+            const key = String(id);
+            if (!byUser.has(key)) byUser.set(key, []);
+            byUser.get(key).push(task);
+        });
+    });
+
+    const users = await User.find({ _id: { $in: [...byUser.keys()] }, ...ACTIVE_FILTER }, "fullName email");
+    let sent = 0;
+    for (const user of users) {
+        try {
+            await sendTemplate(user.email, "taskReminder", {
+                name: user.fullName,
+                tasks: byUser.get(String(user._id)),
+                link: appUrl("/user/dashboard"),
+            });
+            sent += 1;
+        } catch (error) {
+            console.error(`Task reminder error for ${user.email}:`, error);
+        }
+    }
+
+    // Marked even when an email failed, so one bad address doesn't cause a reminder every hour
+    await Task.updateMany({ _id: { $in: tasks.map((task) => task._id) } }, { reminderSentAt: now });
+    return sent;
+};
+
+/**
+ * Builds one user's digest: what is overdue, what is due within the period and
+ * what they completed during it.
+ * @returns {Promise<Object[]>} Groups for the taskDigest template
+ */
+const digestGroupsFor = async (user, periodMs, now) => {
+    const mine = { $or: [{ owner: user._id }, { assignees: user._id }] };
+    const [overdue, upcoming, completed] = await Promise.all([
+        Task.find({ ...mine, ...openTask, deadline: { $lt: now } }, "title deadline").sort({ deadline: 1 }),
+        Task.find({ ...mine, ...openTask, deadline: { $gte: now, $lte: new Date(now.getTime() + periodMs) } }, "title deadline")
+            .sort({ deadline: 1 }),
+        Task.find({ ...mine, archivedAt: null, status: DONE_STATUS, completedAt: { $gte: new Date(now.getTime() - periodMs) } }, "title deadline")
+            .sort({ completedAt: -1 }),
+    ]);
+    const label = periodMs === DAY_MS ? "today" : "this week";
+    return [
+        { title: "Overdue", tasks: overdue },
+        { title: `Due ${label}`, tasks: upcoming },
+        { title: `Completed ${label}`, tasks: completed },
+    ];
+};
+
+/**
+ * Sends the periodic digest to every active user whose last one is at least a
+ * period old. Users with nothing to report are skipped until next period.
+ * @param {string} period - "daily" or "weekly"
+ * @param {Date} [now]
+ * @returns {Promise<number>} How many emails were sent
+ */
+const sendTaskDigests = async (period, now = new Date()) => {
+    const periodMs = DIGEST_PERIODS[period];
+    if (!periodMs) throw new Error(`Unknown digest period "${period}"; use daily or weekly`);
+
+    const due = {
+        ...ACTIVE_FILTER,
+        $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: new Date(now.getTime() - periodMs) } }],
+    };
+    let sent = 0;
+    for await (const user of User.find(due, "fullName email").cursor()) {
+        try {
+            const groups = await digestGroupsFor(user, periodMs, now);
+            if (groups.some((group) => group.tasks.length)) {
+                await sendTemplate(user.email, "taskDigest", { name: user.fullName, period, groups, link: appUrl("/user/dashboard") });
+                sent += 1;
+            }
+            await User.updateOne({ _id: user._id }, { lastDigestAt: now });
+        } catch (error) {
+            console.error(`Task digest error for ${user.email}:`, error);
+        }
+    }
+    return sent;
+};
+
+/**
+ * Runs reminders and digests now and then every hour, as configured above.
+ * Call once the database is connected.
+ */
+const startTaskEmails = () => {
+    if (DIGEST_PERIOD !== "off" && !DIGEST_PERIODS[DIGEST_PERIOD]) {
+        throw new Error(`Unknown TASK_DIGEST "${DIGEST_PERIOD}"; use daily, weekly or off`);
+    }
+
+    // A slow run is left to finish rather than overlapped by the next one
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            if (REMINDERS_ENABLED) await sendTaskReminders();
+            if (DIGEST_PERIOD !== "off") await sendTaskDigests(DIGEST_PERIOD);
+        } catch (error) {
+            console.error("Task emails error:", error);
+        } finally {
+            running = false;
+        }
+    };
+    run();
+    setInterval(run, CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = { sendTaskReminders, sendTaskDigests, startTaskEmails };
@@ -0,0 +1,29 @@
+// Canonical task workflow. Keep in sync with src/utils/taskStatus.js on the frontend.
+const TASK_STATUSES = ["todo", "in_progress", "blocked", "review", "completed"];
+
+// Names shown for each status, e.g. as the default board column titles
+const STATUS_LABELS = {
+  todo: "To Do",
+  in_progress: "In Progress",
+  blocked: "Blocked",
+  review: "Review",
+  completed: "Completed",
+};
+
+const DEFAULT_STATUS = "todo";
+const DONE_STATUS = "completed";
+
+// Allowed moves out of each status
+const STATUS_TRANSITIONS = {
+  todo: ["in_progress", "blocked", "completed"],
+  in_progress: ["todo", "blocked", "review", "completed"],
+  blocked: ["todo", "in_progress"],
+  review: ["in_progress", "completed"],
+  completed: ["todo", "in_progress"],
+};
+
+const isValidStatus = (status) => TASK_STATUSES.includes(status);
+
+const canTransition = (from, to) => from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+module.exports = { TASK_STATUSES, STATUS_LABELS, DEFAULT_STATUS, DONE_STATUS, STATUS_TRANSITIONS, isValidStatus, canTransition };
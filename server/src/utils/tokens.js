@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+
+const ACCESS_TOKEN_TTL = "1h";
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Signs an access token for a user. Every token carries a unique jti so
+ * auth log entries can be tied back to the session that produced them.
+ * @param {Object} user - User document
+ * @returns {{ token: string, tokenId: string, expiresAt: Date }}
+ */
+const signAccessToken = (user) => {
+    const tokenId = crypto.randomUUID();
+    const token = jwt.sign(
+        { userId: user._id, role: user.role },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL, jwtid: tokenId }
+    );
+    const { exp } = jwt.decode(token);
+
+    return { token, tokenId, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Issues an access token plus a refresh token. Pass the family of the token
+ * being rotated to continue an existing session; omit it on a fresh login.
+ * @param {Object} user - User document
+ * @param {string} [family] - Rotation chain to extend
+ * @returns {Promise<{ token: string, refreshToken: string, tokenId: string, expiresAt: Date, family: string }>}
+ */
+const issueTokens = async (user, family = crypto.randomUUID()) => {
+    const access = signAccessToken(user);
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+
+    await RefreshToken.create({
+        tokenHash: hashToken(refreshToken),
+        user: user._id,
+        family,
+        accessTokenId: access.tokenId,
+        accessExpiresAt: access.expiresAt,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+
+    return { ...access, refreshToken, family };
+};
+
+/**
+ * Looks up a refresh token presented by a client.
+ * @param {string} refreshToken - Raw token from the client
+ * @returns {Promise<Object|null>} The stored token document
+ */
+const findRefreshToken = (refreshToken) =>
+    RefreshToken.findOne({ tokenHash: hashToken(String(refreshToken)) });
+
+/**
+ * Marks a refresh token as used. Only one caller can win, so two requests
+ * racing with the same token can't both rotate it.
+ * @param {Object} entry - Stored refresh token
+ * @returns {Promise<Object|null>} The token, or null when someone else got there first
+ */
+const claimRefreshToken = (entry) =>
+    RefreshToken.findOneAndUpdate({ _id: entry._id, usedAt: null, revokedAt: null }, { usedAt: new Date() });
+
+module.exports = { hashToken, signAccessToken, issueTokens, findRefreshToken, claimRefreshToken };
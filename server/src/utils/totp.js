@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords, as used by authenticator apps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = "Task Manager";
+const BACKUP_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of input.toUpperCase().replace(/=+$/, "")) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) continue;
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const hashCode = (code) => crypto.createHash("sha256").update(code).digest("hex");
+
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * @returns {string} A new base32 shared secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the otpauth:// URI authenticator apps read from a QR code.
+ * @param {string} secret - Base32 shared secret
+ * @param {string} account - Account label, usually the email address
+ * @returns {string}
+ */
+const otpauthUri = (secret, account) => {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    const params = new URLSearchParams({ secret, issuer: ISSUER, digits: DIGITS, period: STEP_SECONDS });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Checks a code against the current time step, allowing one step of clock
+ * drift either way. A step at or before lastUsedStep is refused, so a code
+ * can't be replayed.
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code
+ * @returns {number|null} The matched step, or null when the code is wrong
+ */
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+    const normalized = String(code || "").replace(/\s+/g, "");
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+    const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (const step of [current - 1, current, current + 1]) {
+        if (step <= lastUsedStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(normalized))) return step;
+    }
+    return null;
+};
+
+/**
+ * Creates one-time backup codes. Only the hashes should be stored.
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+const generateBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashCode) };
+};
+
+/**
+ * @param {string[]} hashes - Stored backup code hashes
+ * @param {string} code - Code entered by the user
+ * @returns {number} Index of the matching hash, or -1
+ */
+const findBackupCode = (hashes, code) => {
+    const normalized = String(code || "").trim().toLowerCase();
+    return normalized ? hashes.indexOf(hashCode(normalized)) : -1;
+};
+
+module.exports = { generateSecret, otpauthUri, verifyTotp, generateBackupCodes, findBackupCode };
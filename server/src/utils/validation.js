@@ -0,0 +1,10 @@
+// Deliberately loose: the real check is whether a link sent to the address gets followed
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param {*} email
+ * @returns {boolean} Whether the value looks like an email address
+ */
+const isValidEmail = (email) => typeof email === "string" && EMAIL_PATTERN.test(email);
+
+module.exports = { isValidEmail };
@@ -10,7 +10,7 @@
  */
 
 import React from "react";
-import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from "react-router-dom";
 import { useAuth } from "./contexts/AuthContext";
 
 // Layout Components
@@ -23,6 +23,9 @@ import Login from "./components/auth/Login";
 import Signup from "./components/auth/Signup";
 import ForgotPassword from "./components/auth/ForgotPassword";
 import ResetPassword from "./components/auth/ResetPassword";
+import VerifyEmail from "./components/auth/VerifyEmail";
+import ConfirmEmailChange from "./components/auth/ConfirmEmailChange";
+import AcceptInvitation from "./components/auth/AcceptInvitation";
 
 // Admin Pages
 import Dashboard from "./pages/AdminPages/Dashboard";
@@ -31,6 +34,7 @@ import ManageUsers from "./pages/AdminPages/ManageUsers";
 import ManageTasks from "./pages/AdminPages/ManageTasks";
 import Settings from "./pages/AdminPages/Settings";
 import UserLogPage from "./pages/AdminPages/UserLogPage";
+import SignupRequests from "./pages/AdminPages/SignupRequests";
 
 // User Pages
 import UserDashboard from "./pages/UserPages/Dashboard";
@@ -44,7 +48,9 @@ import TaskFilter from "./components/tasks/TaskFilter";
 
 // Context Providers
 import AuthProvider from "./contexts/AuthContext";
+import TasksProvider from "./contexts/TasksContext";
 import NotificationProvider from "./contexts/NotificationContext";
+import { homePathFor } from "./utils/permissions";
 
 /**
  * Protected Route Component
@@ -54,24 +60,23 @@ import NotificationProvider from "./contexts/NotificationContext";
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render when authenticated
- * @param {string} [props.requiredRole] - Optional role required to access the route
+ * @param {string} [props.permission] - Optional permission required to access the route
  */
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { hasRole } = useAuth();
-  // If role is required, check if user has the role
-  if (requiredRole) {
-    const hasRequiredRole = hasRole(requiredRole);
-    
-    if (!hasRequiredRole) {
-      // Redirect to appropriate dashboard based on user's role
-      const userRole = localStorage.getItem("userRole");
-      const redirectPath = userRole === "admin" ? "/admin/dashboard" : "/user/dashboard";
-      
-      return <Navigate to={redirectPath} replace />;
-    }
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, can } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location.pathname }} replace />;
+  }
+
+  // If a permission is required, check that the user holds it
+  if (permission && !can(permission)) {
+    // Redirect to the dashboard this user is allowed to see
+    return <Navigate to={homePathFor(user)} replace />;
   }
   
-  // User is authenticated and has required role (if specified)
+  // User is authenticated and has the required permission (if specified)
   return children;
 };
 
@@ -88,12 +93,15 @@ const MainRoutes = () => {
         <Route path="/signup" element={<Signup />} />
         <Route path="/forgot-password" element={<ForgotPassword />} />
         <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/confirm-email-change" element={<ConfirmEmailChange />} />
+        <Route path="/accept-invitation" element={<AcceptInvitation />} />
                 
         {/* Protected Admin Routes */}
         <Route 
           path="/admin/dashboard" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute permission="admin:access">
               <Dashboard />
             </ProtectedRoute>
           } 
@@ -101,7 +109,7 @@ const MainRoutes = () => {
         <Route 
           path="/admin/users" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute permission="users:read">
               <Users />
             </ProtectedRoute>
           } 
@@ -109,7 +117,7 @@ const MainRoutes = () => {
         <Route 
           path="/admin/manage-users" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute permission="users:read">
               <ManageUsers />
             </ProtectedRoute>
           } 
@@ -117,7 +125,7 @@ const MainRoutes = () => {
         <Route 
           path="/admin/manage-tasks" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute permission="tasks:write:any">
               <ManageTasks />
             </ProtectedRoute>
           } 
@@ -125,7 +133,7 @@ const MainRoutes = () => {
         <Route 
           path="/admin/settings" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute permission="settings:manage">
               <Settings />
             </ProtectedRoute>
           } 
@@ -133,15 +141,23 @@ const MainRoutes = () => {
         <Route 
           path="/admin/user-logs" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute permission="logs:view">
               <UserLogPage />
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/admin/signup-requests" 
+          element={
+            <ProtectedRoute permission="users:approve">
+              <SignupRequests />
+            </ProtectedRoute>
+          } 
+        />
         <Route 
           path="/admin/task-filter" 
           element={
-            <ProtectedRoute requiredRole="admin">
+            <ProtectedRoute permission="tasks:read:any">
               <TaskFilter />
             </ProtectedRoute>
           } 
@@ -214,17 +230,19 @@ function App() {
   // const hasRole = localStorage.getItem("userRole");
   return (
     <AuthProvider>
-      <NotificationProvider>
-        <Router>
-          <div className="flex flex-col min-h-screen">
-            <Navbar />
-
-            <MainRoutes />
-            
-            <Footer />
-          </div>
-        </Router>
-      </NotificationProvider>
+      <TasksProvider>
+        <NotificationProvider>
+          <Router>
+            <div className="flex flex-col min-h-screen">
+              <Navbar />
+
+              <MainRoutes />
+              
+              <Footer />
+            </div>
+          </Router>
+        </NotificationProvider>
+      </TasksProvider>
     </AuthProvider>
   );
 }
@@ -1,28 +1,317 @@
-const API_URL = "https://zidio-task-management-backend.onrender.com/";
+// The one place the backend origin is configured: API_URL from vite.config.js.
+// Every request to the server goes through this module.
+const BASE_URL = import.meta.env.API_URL;
+const API_URL = `${BASE_URL}/api/tasks`;
+const BOARD_URL = `${BASE_URL}/api/board`;
+const AUTH_URL = `${BASE_URL}/api/auth`;
+const ADMIN_URL = `${BASE_URL}/admin`;
+const AUTH_LOG_URL = `${ADMIN_URL}/auth-logs`;
 
-export const fetchTasks = async () => {
-  const response = await fetch(API_URL);
-  return await response.json();
+const authHeaders = () => {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
 };
 
-export const createTask = async (task) => {
-  const response = await fetch(API_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(task),
+// Fired on window when the session can't be renewed; AuthContext signs the user out
+export const SESSION_EXPIRED_EVENT = "auth:session-expired";
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem("token", token);
+  localStorage.setItem("refreshToken", refreshToken);
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let pendingRefresh = null;
+
+// Whether a refreshSession failure means the server turned the session down,
+// as opposed to the server being unreachable or failing for a moment
+export const isSessionRejected = (error) => error.status === 401 || error.status === 403;
+
+/**
+ * Swaps the stored refresh token for a new token pair. Concurrent callers
+ * share one request, and a refresh already done by another tab is picked up
+ * from localStorage instead of being treated as a failure. Errors carry the
+ * response status; network failures have none.
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshSession = () => {
+  if (pendingRefresh) return pendingRefresh;
+
+  pendingRefresh = (async () => {
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (!refreshToken) throw Object.assign(new Error("Session expired"), { status: 401 });
+
+    const response = await fetch(`${AUTH_URL}/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      storeTokens(data);
+      return data.token;
+    }
+
+    // 409: another tab rotated this token moments ago and is about to store the result
+    if (response.status === 409) await wait(1000);
+    if (localStorage.getItem("refreshToken") !== refreshToken) {
+      return localStorage.getItem("token");
+    }
+    throw Object.assign(new Error(data.message || "Session expired"), { status: response.status });
+  })().finally(() => {
+    pendingRefresh = null;
   });
-  return await response.json();
+
+  return pendingRefresh;
+};
+
+const endSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
+/**
+ * Sends a JSON request with the auth header and returns the parsed body
+ * (as text for CSV downloads). Failures throw an Error carrying the server's message plus status, code and
+ * the full response body (data); network failures have no status.
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @param {boolean} [retry] - Renew the session and replay once on a 401; off for the sign-in endpoints
+ * @returns {Promise<Object|string>}
+ */
+const request = async (url, options = {}, retry = true) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...authHeaders(), ...options.headers },
+  });
+
+  // Expired or revoked access token: renew once and replay the request
+  if (response.status === 401 && retry && localStorage.getItem("refreshToken")) {
+    try {
+      await refreshSession();
+    } catch (error) {
+      // Anything but a refused refresh token leaves the session alone to try again later
+      if (!isSessionRejected(error)) throw error;
+      console.error("Session refresh failed:", error);
+      endSession();
+      throw Object.assign(new Error("Your session has expired. Please log in again."), { status: 401 });
+    }
+    return request(url, options, false);
+  }
+
+  if (response.ok && (response.headers.get("Content-Type") || "").startsWith("text/csv")) {
+    return response.text();
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // status lets callers tell "not signed in" (401) from "not allowed" (403);
+    // code narrows down why, e.g. "two_factor_required"
+    throw Object.assign(new Error(data.message || data.error || "Request failed"), {
+      status: response.status,
+      code: data.code,
+      data,
+    });
+  }
+  return data;
 };
 
-export const deleteTask = async (id) => {
-  await fetch(`${API_URL}/${id}`, { method: "DELETE" });
+/**
+ * Turns a failed request into a message fit for the UI
+ * @param {Error} error - Error thrown by an API call
+ * @param {string} fallback - Message when the server gave none
+ * @returns {string}
+ */
+export const errorMessage = (error, fallback) => {
+  // No status means the server was never reached; the browser's message isn't useful
+  if (!error.status) return fallback;
+  if (error.status === 403 && error.code !== "two_factor_required") return "You don't have permission to do that.";
+  return error.message || fallback;
 };
 
-export const updateTask = async (id, updates) => {
-  const response = await fetch(`${API_URL}/${id}`, {
+export const fetchTasks = () => request(API_URL);
+
+// Users that can be picked as assignees on the task form
+export const fetchAssignees = () => request(`${API_URL}/assignees`);
+
+export const createTask = (task) =>
+  request(API_URL, {
+    method: "POST",
+    body: JSON.stringify(task),
+  });
+
+export const deleteTask = (id) => request(`${API_URL}/${id}`, { method: "DELETE" });
+
+export const updateTask = (id, updates) =>
+  request(`${API_URL}/${id}`, {
     method: "PATCH",
-    headers: { "Content-Type": "application/json" },
     body: JSON.stringify(updates),
   });
-  return await response.json();
-};
\ No newline at end of file
+
+export const moveTask = (id, status, index, column) =>
+  request(`${API_URL}/${id}/move`, {
+    method: "POST",
+    body: JSON.stringify({ status, index, column }),
+  });
+
+export const fetchBoard = () => request(BOARD_URL);
+
+export const saveBoard = (columns) =>
+  request(BOARD_URL, {
+    method: "PUT",
+    body: JSON.stringify({ columns }),
+  });
+
+export const resetBoard = () => request(BOARD_URL, { method: "DELETE" });
+
+// Sign-in endpoints: no session to renew, so a 401 is passed straight to the caller
+export const register = (details) =>
+  request(`${AUTH_URL}/register`, { method: "POST", body: JSON.stringify(details) }, false);
+
+export const login = (email, password, role) =>
+  request(`${AUTH_URL}/login`, { method: "POST", body: JSON.stringify({ email, password, role }) }, false);
+
+export const verifyLoginCode = (challengeToken, code) =>
+  request(`${AUTH_URL}/login/2fa`, { method: "POST", body: JSON.stringify({ challengeToken, code }) }, false);
+
+export const forgotPassword = (email, role) =>
+  request(`${BASE_URL}/api/forgot-password`, { method: "POST", body: JSON.stringify({ email, role }) }, false);
+
+export const resetPassword = (token, password) =>
+  request(`${BASE_URL}/api/reset-password`, { method: "POST", body: JSON.stringify({ token, password }) }, false);
+
+export const fetchMe = () => request(`${AUTH_URL}/me`);
+
+export const logout = () => request(`${AUTH_URL}/logout`, { method: "POST" });
+
+export const changePassword = (currentPassword, newPassword) =>
+  request(`${AUTH_URL}/change-password`, {
+    method: "POST",
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+
+export const changeEmail = (currentPassword, newEmail) =>
+  request(`${AUTH_URL}/change-email`, {
+    method: "POST",
+    body: JSON.stringify({ currentPassword, newEmail }),
+  });
+
+// Invitation links: no session yet, so a 401 goes straight to the caller
+export const fetchInvitation = (token) =>
+  request(`${AUTH_URL}/invitations/${encodeURIComponent(token)}`, {}, false);
+
+export const acceptInvitation = (token, fullName, password) =>
+  request(`${AUTH_URL}/invitations/accept`, { method: "POST", body: JSON.stringify({ token, fullName, password }) }, false);
+
+export const confirmEmailChange = (token) =>
+  request(`${AUTH_URL}/confirm-email-change`, { method: "POST", body: JSON.stringify({ token }) }, false);
+
+export const fetchPasswordPolicy = () => request(`${AUTH_URL}/password-policy`, {}, false);
+
+export const verifyEmail = (token) =>
+  request(`${AUTH_URL}/verify-email`, { method: "POST", body: JSON.stringify({ token }) }, false);
+
+export const resendVerification = (email) =>
+  request(`${AUTH_URL}/resend-verification`, { method: "POST", body: JSON.stringify({ email }) }, false);
+
+export const fetchTwoFactorStatus = () => request(`${AUTH_URL}/2fa`);
+
+export const setupTwoFactor = () => request(`${AUTH_URL}/2fa/setup`, { method: "POST" });
+
+export const enableTwoFactor = (code) =>
+  request(`${AUTH_URL}/2fa/enable`, { method: "POST", body: JSON.stringify({ code }) });
+
+export const disableTwoFactor = (password, code) =>
+  request(`${AUTH_URL}/2fa/disable`, { method: "POST", body: JSON.stringify({ password, code }) });
+
+export const regenerateBackupCodes = (code) =>
+  request(`${AUTH_URL}/2fa/backup-codes`, { method: "POST", body: JSON.stringify({ code }) });
+
+// Query values left blank are dropped so the server falls back to its defaults
+const toQuery = (params = {}) =>
+  new URLSearchParams(Object.entries(params).filter(([, value]) => value !== "" && value != null)).toString();
+
+export const fetchAuthLogs = (params) => request(`${AUTH_LOG_URL}?${toQuery(params)}`);
+
+export const deleteAuthLog = (id) => request(`${AUTH_LOG_URL}/${id}`, { method: "DELETE" });
+
+export const deleteAuthLogs = (params) => request(`${AUTH_LOG_URL}?${toQuery(params)}`, { method: "DELETE" });
+
+export const revokeSession = (tokenId) => request(`${ADMIN_URL}/sessions/${tokenId}/revoke`, { method: "POST" });
+
+export const revokeUserSessions = (userId) => request(`${ADMIN_URL}/users/${userId}/revoke-sessions`, { method: "POST" });
+
+export const fetchSettings = () => request(`${ADMIN_URL}/settings`);
+
+export const updateSettings = (updates) =>
+  request(`${ADMIN_URL}/settings`, { method: "PUT", body: JSON.stringify(updates) });
+
+export const fetchUsers = () => request(`${ADMIN_URL}/users`);
+
+export const updateUser = (id, updates) =>
+  request(`${ADMIN_URL}/users/${id}`, {
+    method: "PUT",
+    body: JSON.stringify(updates),
+  });
+
+// Sends a confirmation link to the new address; the email changes once it is followed
+export const requestUserEmailChange = (id, email) =>
+  request(`${ADMIN_URL}/users/${id}/email`, {
+    method: "POST",
+    body: JSON.stringify({ email }),
+  });
+
+// status: "active" | "suspended" | "deactivated"; a reason is required unless reactivating
+export const setUserStatus = (id, status, reason) =>
+  request(`${ADMIN_URL}/users/${id}/status`, {
+    method: "POST",
+    body: JSON.stringify({ status, reason }),
+  });
+
+export const unlockUser = (id) => request(`${ADMIN_URL}/users/${id}/unlock`, { method: "POST" });
+
+// What deleting a user would leave behind: { openTasks, completedTasks, assignedTasks }
+export const fetchDeletionSummary = (id) => request(`${ADMIN_URL}/users/${id}/deletion-summary`);
+
+// options: { taskAction: "reassign" | "archive" | "delete", reassignTo }
+export const deleteUser = (id, options) =>
+  request(`${ADMIN_URL}/users/${id}`, { method: "DELETE", body: JSON.stringify(options) });
+
+// Creates an account with a password chosen by the admin: { fullName, email, role, password }
+export const createUser = (details) =>
+  request(`${ADMIN_URL}/users`, { method: "POST", body: JSON.stringify(details) });
+
+// The user list as CSV text, in the format importUsers reads
+export const exportUsers = () => request(`${ADMIN_URL}/users/export`);
+
+// Invites everyone listed in a CSV file. A dry run returns the per-row checks without inviting anyone;
+// without sendInvitations the invitations are saved but not emailed yet. options: { dryRun, sendInvitations }
+export const importUsers = (csv, options) =>
+  request(`${ADMIN_URL}/users/import`, { method: "POST", body: JSON.stringify({ csv, ...options }) });
+
+// Pending email invitations
+export const fetchInvitations = () => request(`${ADMIN_URL}/invitations`);
+
+export const createInvitation = (details) =>
+  request(`${ADMIN_URL}/invitations`, { method: "POST", body: JSON.stringify(details) });
+
+// Emails the pending invitations that were saved without one, e.g. by an import
+export const sendUnsentInvitations = () => request(`${ADMIN_URL}/invitations/send-unsent`, { method: "POST" });
+
+export const resendInvitation = (id) => request(`${ADMIN_URL}/invitations/${id}/resend`, { method: "POST" });
+
+export const revokeInvitation = (id) => request(`${ADMIN_URL}/invitations/${id}`, { method: "DELETE" });
+
+// Signup approval queue
+export const fetchSignups = (status = "pending") => request(`${ADMIN_URL}/signups?${toQuery({ status })}`);
+
+export const approveSignup = (id) => request(`${ADMIN_URL}/signups/${id}/approve`, { method: "POST" });
+
+export const rejectSignup = (id, note) =>
+  request(`${ADMIN_URL}/signups/${id}/reject`, {
+    method: "POST",
+    body: JSON.stringify({ note }),
+  });
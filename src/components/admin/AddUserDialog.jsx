@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import * as api from "../../api";
+import { ROLE_OPTIONS } from "../../utils/permissions";
+import { meetsPasswordPolicy } from "../../utils/passwordPolicy";
+import { usePasswordPolicy } from "../../hooks/usePasswordPolicy";
+import PasswordStrength from "../auth/PasswordStrength";
+
+const inputClass = "w-full mt-1 p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none";
+
+const MODES = [
+  { value: "invite", label: "Invite by email" },
+  { value: "create", label: "Create with password" },
+];
+
+/**
+ * Adds a user from the admin panel, either by emailing an invitation (the
+ * invitee picks their password) or by creating the account outright.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onCreated - Called with the new user
+ * @param {Function} props.onInvited - Called with the server's response to an invitation
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+const AddUserDialog = ({ onCreated, onInvited, onClose }) => {
+  const [mode, setMode] = useState("invite");
+  const [form, setForm] = useState({ fullName: "", email: "", role: "user", password: "" });
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (mode === "create" && !meetsPasswordPolicy(form.password, passwordPolicy)) {
+      setError("Password doesn't meet the requirements below");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (mode === "create") {
+        onCreated(await api.createUser(form));
+      } else {
+        const { fullName, email, role } = form;
+        onInvited(await api.createInvitation({ fullName, email, role }));
+      }
+    } catch (err) {
+      setError(api.errorMessage(err, mode === "create" ? "Failed to create user" : "Failed to send invitation"));
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true" aria-labelledby="add-user-title">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+        <h2 id="add-user-title" className="text-xl font-semibold text-gray-800 mb-4">Add User</h2>
+
+        <div className="flex gap-2 mb-4" role="tablist">
+          {MODES.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              role="tab"
+              aria-selected={mode === value}
+              onClick={() => setMode(value)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium ${
+                mode === value ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          <div>
+            <label htmlFor="addFullName" className="block text-sm font-medium text-gray-700">
+              Full Name{mode === "invite" ? " (optional)" : ""}
+            </label>
+            <input
+              id="addFullName"
+              name="fullName"
+              value={form.fullName}
+              onChange={handleChange}
+              className={inputClass}
+              required={mode === "create"}
+            />
+          </div>
+          <div>
+            <label htmlFor="addEmail" className="block text-sm font-medium text-gray-700">Email</label>
+            <input id="addEmail" type="email" name="email" value={form.email} onChange={handleChange} className={inputClass} required />
+          </div>
+          <div>
+            <label htmlFor="addRole" className="block text-sm font-medium text-gray-700">Role</label>
+            <select id="addRole" name="role" value={form.role} onChange={handleChange} className={inputClass}>
+              {ROLE_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {mode === "create" && (
+            <div>
+              <label htmlFor="addPassword" className="block text-sm font-medium text-gray-700">Initial Password</label>
+              <input
+                id="addPassword"
+                type="password"
+                name="password"
+                value={form.password}
+                onChange={handleChange}
+                className={inputClass}
+                autoComplete="new-password"
+                required
+              />
+              <PasswordStrength password={form.password} policy={passwordPolicy} />
+            </div>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-500 mt-3">
+          {mode === "invite"
+            ? "They get an email with a link to choose their own password. The link expires in 7 days."
+            : "The account can be used straight away; share the password with them securely."}
+        </p>
+
+        {error && <p className="text-red-500 text-sm mt-2" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={onClose} disabled={saving} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : mode === "invite" ? "Send Invitation" : "Create User"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AddUserDialog;
@@ -1,36 +1,36 @@
 import React, { useEffect, useState } from "react";
+import { useTasks } from "../../hooks/useTasks";
+import { isDone } from "../../utils/taskStatus";
+import { fetchUsers, errorMessage } from "../../api";
 
 const AdminStats = () => {
   const [totalUsers, setTotalUsers] = useState(0);
-  const [totalTasks, setTotalTasks] = useState(0);
-  const [pendingTasks, setPendingTasks] = useState(0);
-  const [completedTasks, setCompletedTasks] = useState(0);
+  const [error, setError] = useState("");
+  const { tasks } = useTasks();
 
   // Fetch Users from API
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users") // API URL
-      .then((res) => res.json())
+    fetchUsers()
       .then((data) => {
         setTotalUsers(data.length); // Count total users
       })
-      .catch((err) => console.error("Error fetching users:", err));
+      .catch((err) => {
+        console.error("Error fetching users:", err);
+        setError(errorMessage(err, "Failed to load users"));
+      });
   }, []);
 
-  // Fetch Tasks from Local Storage
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-
-    setTotalTasks(storedTasks.length);
-    setPendingTasks(storedTasks.filter((task) => task.progress < 100).length);
-    setCompletedTasks(storedTasks.filter((task) => task.progress === 100).length);
-  }, []);
+  // Task counts from the shared task state
+  const totalTasks = tasks.length;
+  const completedTasks = tasks.filter(isDone).length;
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
       {/* Total Users */}
       <div className="bg-white p-4 shadow rounded-lg text-center">
         <h3 className="text-lg font-semibold">Total Users</h3>
-        <p className="text-3xl font-bold text-blue-600">{totalUsers}</p>
+        <p className="text-3xl font-bold text-blue-600">{error ? "—" : totalUsers}</p>
+        {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
       </div>
 
       {/* Total Tasks */}
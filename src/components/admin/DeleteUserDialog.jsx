@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from "react";
+import * as api from "../../api";
+
+const TASK_ACTIONS = [
+  { value: "reassign", label: "Reassign open tasks", hint: "Open tasks and assignments move to another user; completed tasks are archived." },
+  { value: "archive", label: "Archive tasks", hint: "Every task this user created is kept on record but taken off the boards." },
+  { value: "delete", label: "Delete tasks", hint: "Every task this user created is permanently deleted." },
+];
+
+/**
+ * Confirmation dialog for purging a deactivated user for good. The admin
+ * decides what happens to the tasks they leave behind and confirms by
+ * typing the user's email.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - User being deleted
+ * @param {Function} props.onDeleted - Called with the server's response once the user is gone
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+const DeleteUserDialog = ({ user, onDeleted, onClose }) => {
+  const [summary, setSummary] = useState(null);
+  const [people, setPeople] = useState([]);
+  const [taskAction, setTaskAction] = useState("reassign");
+  const [reassignTo, setReassignTo] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [error, setError] = useState("");
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([api.fetchDeletionSummary(user._id), api.fetchAssignees()])
+      .then(([counts, assignees]) => {
+        if (cancelled) return;
+        setSummary(counts);
+        setPeople(assignees.filter((person) => person._id !== user._id));
+      })
+      .catch((err) => !cancelled && setError(api.errorMessage(err, "Failed to load the user's tasks")));
+    return () => {
+      cancelled = true;
+    };
+  }, [user._id]);
+
+  const handleDelete = async () => {
+    if (taskAction === "reassign" && !reassignTo) {
+      setError("Choose who takes over the tasks");
+      return;
+    }
+
+    setError("");
+    setDeleting(true);
+    try {
+      onDeleted(await api.deleteUser(user._id, { taskAction, reassignTo: reassignTo || undefined }));
+    } catch (err) {
+      setError(api.errorMessage(err, "Failed to purge user"));
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true" aria-labelledby="delete-user-title">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+        <h2 id="delete-user-title" className="text-xl font-semibold text-gray-800 mb-2">
+          Permanently delete {user.fullName}?
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          The account is removed for good and can't be restored. Deactivating it is enough to stop them signing in.
+        </p>
+
+        {summary ? (
+          <p className="text-sm text-gray-700 mb-4">
+            They created <strong>{summary.openTasks}</strong> open and <strong>{summary.completedTasks}</strong> completed
+            task(s), and are assigned to <strong>{summary.assignedTasks}</strong> task(s) created by others.
+          </p>
+        ) : (
+          !error && <p className="text-sm text-gray-500 mb-4">Loading tasks...</p>
+        )}
+
+        <fieldset className="space-y-2 mb-4">
+          <legend className="text-sm font-medium text-gray-700 mb-1">What happens to their tasks?</legend>
+          {TASK_ACTIONS.map(({ value, label, hint }) => (
+            <label key={value} className="flex items-start gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="taskAction"
+                value={value}
+                checked={taskAction === value}
+                onChange={() => setTaskAction(value)}
+                className="mt-1 accent-blue-600"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-800">{label}</span>
+                <span className="block text-xs text-gray-500">{hint}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        {taskAction === "reassign" && (
+          <div className="mb-4">
+            <label htmlFor="reassignTo" className="block text-sm font-medium text-gray-700">Reassign to</label>
+            <select
+              id="reassignTo"
+              value={reassignTo}
+              onChange={(e) => setReassignTo(e.target.value)}
+              className="w-full mt-1 p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+            >
+              <option value="">Choose a user</option>
+              {people.map((person) => (
+                <option key={person._id} value={person._id}>
+                  {person.fullName} ({person.email})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="mb-4">
+          <label htmlFor="purgeConfirmation" className="block text-sm font-medium text-gray-700">
+            Type <span className="font-mono">{user.email}</span> to confirm
+          </label>
+          <input
+            id="purgeConfirmation"
+            type="text"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            autoComplete="off"
+            className="w-full mt-1 p-2 border rounded-lg focus:ring-2 focus:ring-red-400 focus:outline-none"
+          />
+        </div>
+
+        {error && <p className="text-red-500 text-sm mb-3" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} disabled={deleting} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+            Cancel
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={deleting || confirmation.trim() !== user.email}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            {deleting ? "Purging..." : "Purge User"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeleteUserDialog;
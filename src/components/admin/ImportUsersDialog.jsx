@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import * as api from "../../api";
+
+// The server reads JSON bodies up to 100 KB, which the CSV is sent inside
+const MAX_FILE_BYTES = 90 * 1024;
+
+/**
+ * Invites users in bulk from a CSV file with name, email and role columns
+ * (the format the export produces). The file is checked with a dry run first,
+ * so every row's problems show before anyone is invited; rows with errors are
+ * skipped on import. Afterwards the dialog shows what happened to each row.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onImported - Called with the server's response once the invitations are sent
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+const ImportUsersDialog = ({ onImported, onClose }) => {
+  const [csv, setCsv] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [sendInvitations, setSendInvitations] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    setPreview(null);
+    setResult(null);
+    setError("");
+    setCsv("");
+    setFileName(file ? file.name : "");
+    if (!file) return;
+
+    if (file.size > MAX_FILE_BYTES) {
+      setError("That file is too large. Split it into files of a few hundred users each.");
+      return;
+    }
+    setCsv(await file.text());
+  };
+
+  const handlePreview = async () => {
+    setError("");
+    setBusy(true);
+    try {
+      setPreview(await api.importUsers(csv, { dryRun: true }));
+    } catch (err) {
+      setError(api.errorMessage(err, "Failed to check the file"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setError("");
+    setBusy(true);
+    try {
+      const imported = await api.importUsers(csv, { dryRun: false, sendInvitations });
+      setResult(imported);
+      onImported(imported);
+    } catch (err) {
+      setError(api.errorMessage(err, "Failed to import users"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Before the import: whether the row is ready. After: whether it was invited.
+  const outcome = (row) => {
+    if (!result) return <span className="text-green-700">Ready</span>;
+    if (!row.invited) return <span className="text-gray-500">Skipped</span>;
+    if (row.emailSent) return <span className="text-green-700">Invited</span>;
+    return sendInvitations ? (
+      <span className="text-orange-700">Invited; email failed</span>
+    ) : (
+      <span className="text-gray-700">Invited; email not sent yet</span>
+    );
+  };
+
+  const shown = result || preview;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true" aria-labelledby="import-users-title">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl p-6 max-h-[90vh] flex flex-col">
+        <h2 id="import-users-title" className="text-xl font-semibold text-gray-800 mb-2">Import Users</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Upload a CSV file with a header row and <strong>name</strong>, <strong>email</strong> and optional{" "}
+          <strong>role</strong> columns. Each valid row becomes a pending invitation; the invitee picks their own password.
+        </p>
+
+        {!result && (
+          <div className="flex flex-wrap items-center gap-4 mb-4">
+            <label className="px-4 py-2 bg-gray-100 rounded-lg hover:bg-gray-200 cursor-pointer text-sm">
+              {fileName || "Choose CSV file"}
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} className="sr-only" />
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={sendInvitations}
+                onChange={(e) => setSendInvitations(e.target.checked)}
+                className="accent-blue-600"
+              />
+              Send invitation emails now
+            </label>
+          </div>
+        )}
+
+        {shown && (
+          <>
+            <p className="text-sm mb-2" role="status">
+              {result ? (
+                result.message
+              ) : (
+                <>
+                  {preview.valid} of {preview.total} rows can be imported
+                  {preview.invalid > 0 && <span className="text-red-600">; {preview.invalid} with errors will be skipped</span>}.
+                </>
+              )}
+            </p>
+            <div className="overflow-y-auto border rounded-lg flex-1 min-h-0">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-left text-gray-600">
+                    <th className="px-3 py-2">Row</th>
+                    <th className="px-3 py-2">Name</th>
+                    <th className="px-3 py-2">Email</th>
+                    <th className="px-3 py-2">Role</th>
+                    <th className="px-3 py-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {shown.rows.map((row) => (
+                    <tr key={row.row} className={row.errors.length ? "bg-red-50" : ""}>
+                      <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                      <td className="px-3 py-2">{row.fullName || "—"}</td>
+                      <td className="px-3 py-2">{row.email || "—"}</td>
+                      <td className="px-3 py-2">{row.role}</td>
+                      <td className="px-3 py-2">
+                        {row.errors.length ? (
+                          <ul className="text-red-600">
+                            {row.errors.map((message) => (
+                              <li key={message}>{message}</li>
+                            ))}
+                          </ul>
+                        ) : (
+                          outcome(row)
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {error && <p className="text-red-500 text-sm mt-2" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={onClose} disabled={busy} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+            {result ? "Close" : "Cancel"}
+          </button>
+          {result ? null : preview ? (
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={busy || !preview.valid}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? "Inviting..." : `Invite ${preview.valid} User${preview.valid === 1 ? "" : "s"}`}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={busy || !csv}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? "Checking..." : "Preview"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportUsersDialog;
@@ -1,18 +1,23 @@
 import React from "react";
 import { useState } from "react";
 import { useEffect } from "react";
+import { fetchUsers, errorMessage } from "../../api";
+
 const RecentUsers = () => {
 
   const [users, setUsers] = useState([]);
+  const [error, setError] = useState("");
 
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users") // API URL
-      .then((res) => res.json())
+    fetchUsers()
       .then((data) => {
         const sortedUsers = data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         setUsers(sortedUsers);
       })
-      .catch((err) => console.error(err));
+      .catch((err) => {
+        console.error(err);
+        setError(errorMessage(err, "Failed to load users"));
+      });
   }, []);
   const formatDate = (utcDate) => {
     return new Date(utcDate).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" });
@@ -20,6 +25,7 @@ const RecentUsers = () => {
   return (
     <div className="bg-white p-4 shadow rounded-lg col-span-2">
       <h3 className="text-xl font-semibold mb-4">Recent Users</h3>
+      {error && <p className="text-red-500 text-sm mb-2" role="alert">{error}</p>}
 
       <div className="overflow-x-auto">
         <table className="w-full border-collapse border border-gray-200">
@@ -1,20 +1,23 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
-import { FaChartPie, FaUsers, FaTasks, FaCog } from "react-icons/fa";
+import { FaChartPie, FaUsers, FaTasks, FaCog, FaUserCheck } from "react-icons/fa";
 import TaskFilter from "../tasks/TaskFilter";
+import { useAuth } from "../../contexts/AuthContext";
 
 const Sidebar = React.memo(() => {
   const location = useLocation();
+  const { can } = useAuth();
 
-  // Sidebar menu items with icons
+  // Sidebar menu items with icons, each shown only to users holding its permission
   const menuItems = [
-    { path: "/admin/task-filter", label: "Filter Tasks", icon: <FaTasks /> },
-    { path: "/admin/dashboard", label: "Dashboard", icon: <FaChartPie /> },
-    { path: "/admin/user-logs", label: "User Log", icon: <FaTasks /> },
-    { path: "/admin/manage-users", label: "Manage Users", icon: <FaUsers /> },
-    { path: "/admin/manage-tasks", label: "Manage Tasks", icon: <FaTasks /> },
-    { path: "/admin/settings", label: "Settings", icon: <FaCog /> },
-  ];
+    { path: "/admin/task-filter", label: "Filter Tasks", icon: <FaTasks />, permission: "tasks:read:any" },
+    { path: "/admin/dashboard", label: "Dashboard", icon: <FaChartPie />, permission: "admin:access" },
+    { path: "/admin/user-logs", label: "User Log", icon: <FaTasks />, permission: "logs:view" },
+    { path: "/admin/manage-users", label: "Manage Users", icon: <FaUsers />, permission: "users:read" },
+    { path: "/admin/signup-requests", label: "Signup Requests", icon: <FaUserCheck />, permission: "users:approve" },
+    { path: "/admin/manage-tasks", label: "Manage Tasks", icon: <FaTasks />, permission: "tasks:write:any" },
+    { path: "/admin/settings", label: "Settings", icon: <FaCog />, permission: "settings:manage" },
+  ].filter(({ permission }) => can(permission));
 
   return (
     <div className="w-64 min-h-screen p-6 bg-gray-900 text-white glassmorphism border-r border-gray-700">
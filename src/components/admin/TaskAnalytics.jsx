@@ -1,31 +1,21 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
 import { Bar } from "react-chartjs-2";
 import "chart.js/auto";
+import { useTasks } from "../../hooks/useTasks";
+import { TASK_STATUSES, countByStatus } from "../../utils/taskStatus";
 
 const TaskAnalytics = () => {
-  const [taskStats, setTaskStats] = useState({
-    todo: 0,
-    inProgress: 0,
-    completed: 0,
-  });
+  const { tasks } = useTasks();
 
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const updatedStats = {
-      todo: storedTasks.filter((task) => task.progress <= 40).length,
-      inProgress: storedTasks.filter((task) => task.progress > 40 && task.progress <= 80).length,
-      completed: storedTasks.filter((task) => task.progress > 80).length,
-    };
-    setTaskStats(updatedStats);
-  }, []);
+  const taskStats = countByStatus(tasks);
 
   const chartData = {
-    labels: ["To Do", "In Progress", "Completed"],
+    labels: TASK_STATUSES.map(({ label }) => label),
     datasets: [
       {
         label: "Number of Tasks",
-        data: [taskStats.todo, taskStats.inProgress, taskStats.completed],
-        backgroundColor: ["#FF6384", "#FFCE56", "#36A2EB"],
+        data: TASK_STATUSES.map(({ value }) => taskStats[value]),
+        backgroundColor: TASK_STATUSES.map(({ color }) => color),
       },
     ],
   };
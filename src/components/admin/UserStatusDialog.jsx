@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import * as api from "../../api";
+
+// Wording for each status an admin can move an account into
+const ACTIONS = {
+  suspended: {
+    title: "Suspend",
+    description: "They will be signed out everywhere and can't sign in until the account is reactivated.",
+    button: "Suspend User",
+    buttonClass: "bg-orange-500 hover:bg-orange-600",
+  },
+  deactivated: {
+    title: "Deactivate",
+    description: "The account is closed but its data is kept. It can be reactivated, or purged for good later.",
+    button: "Deactivate User",
+    buttonClass: "bg-red-600 hover:bg-red-700",
+  },
+  active: {
+    title: "Reactivate",
+    description: "They will be able to sign in again.",
+    button: "Reactivate User",
+    buttonClass: "bg-green-600 hover:bg-green-700",
+  },
+};
+
+/**
+ * Asks for a reason, then suspends, deactivates or reactivates a user.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - User being changed
+ * @param {string} props.status - Status to move them to
+ * @param {Function} props.onChanged - Called with the server's response
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+const UserStatusDialog = ({ user, status, onChanged, onClose }) => {
+  const [reason, setReason] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const action = ACTIONS[status];
+  const reasonRequired = status !== "active";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (reasonRequired && !reason.trim()) {
+      setError("Please give a reason");
+      return;
+    }
+
+    setError("");
+    setSaving(true);
+    try {
+      onChanged(await api.setUserStatus(user._id, status, reason.trim()));
+    } catch (err) {
+      setError(api.errorMessage(err, "Failed to update the account"));
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true" aria-labelledby="user-status-title">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+        <h2 id="user-status-title" className="text-xl font-semibold text-gray-800 mb-2">
+          {action.title} {user.fullName}?
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">{action.description}</p>
+
+        <label htmlFor="statusReason" className="block text-sm font-medium text-gray-700">
+          Reason{reasonRequired ? "" : " (optional)"}
+        </label>
+        <textarea
+          id="statusReason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          rows={3}
+          className="w-full mt-1 p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+        />
+
+        {error && <p className="text-red-500 text-sm mt-2" role="alert">{error}</p>}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={onClose} disabled={saving} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 ${action.buttonClass}`}
+          >
+            {saving ? "Saving..." : action.button}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default UserStatusDialog;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import * as api from "../../api";
+import { meetsPasswordPolicy } from "../../utils/passwordPolicy";
+import { usePasswordPolicy } from "../../hooks/usePasswordPolicy";
+import { getRoleLabel } from "../../utils/permissions";
+import PasswordStrength from "./PasswordStrength";
+
+const AcceptInvitation = () => {
+  const [invitation, setInvitation] = useState(null);
+  const [fullName, setFullName] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const passwordPolicy = usePasswordPolicy();
+
+  // Extract token from URL
+  const token = new URLSearchParams(location.search).get("token");
+
+  useEffect(() => {
+    if (!token) {
+      setError("This invitation link is missing its token.");
+      setLoading(false);
+      return;
+    }
+
+    api
+      .fetchInvitation(token)
+      .then((data) => {
+        setInvitation(data);
+        setFullName(data.fullName || "");
+      })
+      .catch((err) => setError(api.errorMessage(err, "Failed to load the invitation.")))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match!");
+      return;
+    }
+    if (!meetsPasswordPolicy(password, passwordPolicy)) {
+      setError("Password doesn't meet the requirements below.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const data = await api.acceptInvitation(token, fullName, password);
+      setMessage(data.message);
+    } catch (err) {
+      setError(api.errorMessage(err, "Failed to create your account. Please try again."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loginRole = invitation && invitation.role !== "user" ? "admin" : "user";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100">
+      <div className="bg-white shadow-md rounded-lg p-6 w-full max-w-md">
+        <h2 className="text-2xl font-semibold text-center text-gray-700 mb-4">Accept Invitation</h2>
+
+        {error && <p className="text-red-500 text-sm text-center mb-3">{error}</p>}
+
+        {message ? (
+          <div className="text-green-500 text-sm text-center">
+            {message}
+            <div className="mt-3">
+              <button
+                onClick={() => navigate("/login", { state: { role: loginRole } })}
+                className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
+              >
+                Go to Login
+              </button>
+            </div>
+          </div>
+        ) : (
+          invitation && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <p className="text-sm text-gray-600 text-center">
+                Set up <span className="font-medium">{invitation.email}</span> as{" "}
+                <span className="font-medium">{getRoleLabel(invitation.role)}</span>.
+              </p>
+              <div>
+                <label className="block text-gray-600 text-sm">Full Name</label>
+                <input
+                  type="text"
+                  className="w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                  value={fullName}
+                  onChange={(e) => setFullName(e.target.value)}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-gray-600 text-sm">Password</label>
+                <input
+                  type="password"
+                  className="w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="new-password"
+                  required
+                />
+                <PasswordStrength password={password} policy={passwordPolicy} />
+              </div>
+              <div>
+                <label className="block text-gray-600 text-sm">Confirm Password</label>
+                <input
+                  type="password"
+                  className="w-full px-3 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 transition disabled:bg-gray-400"
+                disabled={loading}
+              >
+                {loading ? "Creating account..." : "Create Account"}
+              </button>
+            </form>
+          )
+        )}
+
+        {loading && !invitation && <p className="text-gray-500 text-sm text-center">Loading invitation...</p>}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
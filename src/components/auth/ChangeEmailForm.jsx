@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import * as api from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+
+const inputClass = "w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none";
+
+/**
+ * Change-email form for the signed-in user. The server emails a confirmation
+ * link to the new address and only switches once it is followed.
+ * Rendered inside a card by the settings pages.
+ */
+const ChangeEmailForm = () => {
+  const { user, refreshUser } = useAuth();
+  const [form, setForm] = useState({ newEmail: "", currentPassword: "" });
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    setSaving(true);
+    try {
+      const data = await api.changeEmail(form.currentPassword, form.newEmail);
+      setForm({ newEmail: "", currentPassword: "" });
+      setMessage(data.message);
+      await refreshUser();
+    } catch (err) {
+      setError(api.errorMessage(err, "Failed to change email"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h2 className="text-lg font-semibold mb-4">Change Email</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Signed in as <span className="font-medium">{user?.email}</span>
+        {user?.pendingEmail && (
+          <>
+            {" "}
+            (waiting for <span className="font-medium">{user.pendingEmail}</span> to be confirmed)
+          </>
+        )}
+      </p>
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+      {message && <p className="text-green-600 text-sm mb-3">{message}</p>}
+
+      <div className="space-y-3">
+        <div>
+          <label htmlFor="newEmail" className="block text-sm font-medium">New Email</label>
+          <input
+            id="newEmail"
+            type="email"
+            name="newEmail"
+            value={form.newEmail}
+            onChange={handleChange}
+            className={inputClass}
+            autoComplete="email"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="emailCurrentPassword" className="block text-sm font-medium">Current Password</label>
+          <input
+            id="emailCurrentPassword"
+            type="password"
+            name="currentPassword"
+            value={form.currentPassword}
+            onChange={handleChange}
+            className={inputClass}
+            autoComplete="current-password"
+            required
+          />
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="mt-4 w-full bg-blue-500 text-white py-3 rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+      >
+        {saving ? "Sending..." : "Send Confirmation Link"}
+      </button>
+    </form>
+  );
+};
+
+export default ChangeEmailForm;
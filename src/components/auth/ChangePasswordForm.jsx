@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import * as api from "../../api";
+import { meetsPasswordPolicy } from "../../utils/passwordPolicy";
+import { usePasswordPolicy } from "../../hooks/usePasswordPolicy";
+import PasswordStrength from "./PasswordStrength";
+
+const inputClass = "w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none";
+
+/**
+ * Change-password form for the signed-in user. Other devices are signed out
+ * by the server once it succeeds. Rendered inside a card by the settings pages.
+ */
+const ChangePasswordForm = () => {
+  const [form, setForm] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [saving, setSaving] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError("New passwords do not match");
+      return;
+    }
+    if (!meetsPasswordPolicy(form.newPassword, passwordPolicy)) {
+      setError("New password doesn't meet the requirements below");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const data = await api.changePassword(form.currentPassword, form.newPassword);
+      setForm({ currentPassword: "", newPassword: "", confirmPassword: "" });
+      setMessage(
+        data.signedOut
+          ? `Password changed. ${data.signedOut} other session(s) were signed out.`
+          : "Password changed."
+      );
+    } catch (err) {
+      setError(api.errorMessage(err, "Failed to change password"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h2 className="text-lg font-semibold mb-4">Change Password</h2>
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+      {message && <p className="text-green-600 text-sm mb-3">{message}</p>}
+
+      <div className="space-y-3">
+        <div>
+          <label htmlFor="currentPassword" className="block text-sm font-medium">Current Password</label>
+          <input
+            id="currentPassword"
+            type="password"
+            name="currentPassword"
+            value={form.currentPassword}
+            onChange={handleChange}
+            className={inputClass}
+            autoComplete="current-password"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="newPassword" className="block text-sm font-medium">New Password</label>
+          <input
+            id="newPassword"
+            type="password"
+            name="newPassword"
+            value={form.newPassword}
+            onChange={handleChange}
+            className={inputClass}
+            autoComplete="new-password"
+            required
+          />
+          <PasswordStrength password={form.newPassword} policy={passwordPolicy} />
+        </div>
+        <div>
+          <label htmlFor="confirmNewPassword" className="block text-sm font-medium">Confirm New Password</label>
+          <input
+            id="confirmNewPassword"
+            type="password"
+            name="confirmPassword"
+            value={form.confirmPassword}
+            onChange={handleChange}
+            className={inputClass}
+            autoComplete="new-password"
+            required
+          />
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="mt-4 w-full bg-red-500 text-white py-3 rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+      >
+        {saving ? "Changing..." : "Change Password"}
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { confirmEmailChange, errorMessage } from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+
+const ConfirmEmailChange = () => {
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+  // The token is single-use, so StrictMode's second effect run must not send it again
+  const requested = useRef(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated, refreshUser } = useAuth();
+
+  // Extract token from URL
+  const token = new URLSearchParams(location.search).get("token");
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setError("This confirmation link is missing its token.");
+      setLoading(false);
+      return;
+    }
+
+    confirmEmailChange(token)
+      .then((data) => {
+        setMessage(data.message);
+        // Show the new address right away if this browser is signed in
+        if (isAuthenticated) return refreshUser();
+      })
+      .catch((err) => setError(errorMessage(err, "Failed to confirm the new email address.")))
+      .finally(() => setLoading(false));
+  }, [token, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100">
+      <div className="bg-white shadow-md rounded-lg p-6 w-full max-w-md text-center">
+        <h2 className="text-2xl font-semibold text-gray-700 mb-4">Confirm New Email</h2>
+
+        {loading && <p className="text-gray-500 text-sm">Confirming your new email address...</p>}
+        {message && <p className="text-green-500 text-sm">{message}</p>}
+        {error && <p className="text-red-500 text-sm">{error}</p>}
+
+        {!loading && (
+          <button
+            onClick={() => navigate(isAuthenticated ? "/user/profile" : "/login")}
+            className="mt-4 bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
+          >
+            {isAuthenticated ? "Go to Profile" : "Go to Login"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmEmailChange;
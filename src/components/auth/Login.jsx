@@ -11,6 +11,8 @@
  * - Provides clear error feedback and loading states
  * - Implements role-based redirection
  * - Logs authentication events for admin tracking
+ * - Lets unverified accounts request a new verification email
+ * - Asks for an authenticator or backup code when the account has 2FA on
  * 
  * @author Senior Full-Stack Engineer
  * @version 2.0.0
@@ -19,7 +21,9 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
-import { FaLock, FaEnvelope, FaExclamationCircle, FaSpinner } from "react-icons/fa";
+import { homePathFor } from "../../utils/permissions";
+import * as api from "../../api";
+import { FaLock, FaEnvelope, FaExclamationCircle, FaSpinner, FaShieldAlt } from "react-icons/fa";
 
 const Login = () => {
   // State management with proper initialization
@@ -28,9 +32,15 @@ const Login = () => {
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const [role, setRole] = useState("user");
+  // Set when the server refuses the login because the email is not verified yet
+  const [unverified, setUnverified] = useState(false);
+  const [resendMessage, setResendMessage] = useState("");
+  // Set after the password step when the account has two-factor authentication on
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
   
   // Hooks initialization
-  const { login } = useAuth();
+  const { login, user } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -46,12 +56,25 @@ const Login = () => {
    * Redirects authenticated users to appropriate dashboard
    */
   useEffect(() => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      const userRole = localStorage.getItem("userRole");
-      navigate(userRole === "admin" ? "/admin/dashboard" : "/user/dashboard");
+    if (user) {
+      navigate(homePathFor(user));
     }
-  }, [navigate]);
+  }, [user, navigate]);
+
+  /**
+   * Stores the session tokens, loads the user and leaves the login page
+   * @param {Object} data - Successful login response
+   */
+  const completeLogin = async (data) => {
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken);
+
+    // Update authentication context from the server's view of the user
+    const me = await login();
+
+    // Navigate to appropriate dashboard or requested page
+    navigate(from !== "/" && !me.twoFactorSetupRequired ? from : homePathFor(me));
+  };
 
   /**
    * Handles form submission and authentication
@@ -70,41 +93,67 @@ const Login = () => {
 
     // Reset previous errors
     setError("");
+    setUnverified(false);
+    setResendMessage("");
     setLoading(true);
 
     try {
-      const res = await fetch("http://localhost:5000/api/auth/login", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ email, password, role })
-      });
-
-      const data = await res.json();
-
-      if (!res.ok) {
-        throw new Error(data.message || "Login failed");
-      }
+      const data = await api.login(email, password, role);
 
-      localStorage.setItem("token", data.token);
-      localStorage.setItem("userRole", data.role);
-      localStorage.setItem("email", email);
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
 
-      // Update authentication context
-      login(email);
+      await completeLogin(data);
+    } catch (err) {
+      console.error("Login error:", err);
+      // Unverified, locked-out and not-yet-approved accounts are told why
+      setUnverified(err.data?.emailVerified === false);
+      setError(err.status ? err.message : "An unexpected error occurred. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Navigate to appropriate dashboard or requested page
-      navigate(from !== "/" ? from : (data.role === "admin" ? "/admin/dashboard" : "/user/dashboard"));
+  /**
+   * Second login step: exchanges the challenge and a 2FA code for the session tokens
+   * 
+   * @param {Event} e - The form submission event
+   */
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
 
+    try {
+      await completeLogin(await api.verifyLoginCode(challengeToken, code));
     } catch (err) {
       console.error("Login error:", err);
-        setError("An unexpected error occurred. Please try again.");
+      // The challenge expired: start again from the password step
+      if (err.status === 401) {
+        setChallengeToken("");
+        setPassword("");
+      }
+      setCode("");
+      setError(err.status ? err.message : "An unexpected error occurred. Please try again.");
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Sends a fresh verification link to the address in the form
+   */
+  const handleResend = async () => {
+    try {
+      const data = await api.resendVerification(email);
+      setResendMessage(data.message);
+    } catch (err) {
+      setResendMessage(api.errorMessage(err, "Failed to send a new link. Please try again."));
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-500 to-purple-600 p-6">
       <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md transform transition duration-300 hover:scale-105">
@@ -120,74 +169,137 @@ const Login = () => {
               <FaExclamationCircle className="text-red-500 mr-2" aria-hidden="true" />
               <p className="text-red-500 text-sm">{error}</p>
             </div>
+            {unverified && (
+              <div className="mt-2 text-sm">
+                {resendMessage ? (
+                  <p className="text-gray-700">{resendMessage}</p>
+                ) : (
+                  <button type="button" onClick={handleResend} className="text-blue-600 hover:underline">
+                    Resend verification email
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         )}
 
+        {/* Two-factor code step */}
+        {challengeToken && (
+          <form onSubmit={handleCodeSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="code" className="block text-gray-700 text-sm font-medium mb-1">Authentication Code</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaShieldAlt className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="code"
+                  type="text"
+                  inputMode="numeric"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Code from your authenticator app"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                  autoFocus
+                  aria-label="Authentication Code"
+                  autoComplete="one-time-code"
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">Lost your device? Enter one of your backup codes instead.</p>
+            </div>
+
+            <button
+              type="submit"
+              className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
+                loading
+                  ? "bg-gray-400 cursor-not-allowed"
+                  : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
+              }`}
+              disabled={loading}
+            >
+              {loading ? "Verifying..." : "Verify"}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setChallengeToken("");
+                setCode("");
+              }}
+              className="w-full text-sm text-gray-500 hover:underline"
+            >
+              Back to login
+            </button>
+          </form>
+        )}
+
         {/* Login form */}
-        <form onSubmit={handleSubmit} className="space-y-6">
-          {/* Email field */}
-          <div>
-            <label htmlFor="email" className="block text-gray-700 text-sm font-medium mb-1">Email</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaEnvelope className="text-gray-400" aria-hidden="true" />
+        {!challengeToken && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Email field */}
+            <div>
+              <label htmlFor="email" className="block text-gray-700 text-sm font-medium mb-1">Email</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaEnvelope className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="email"
+                  type="email"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Enter your email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  aria-label="Email Address"
+                  autoComplete="email"
+                />
               </div>
-              <input
-                id="email"
-                type="email"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Enter your email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                required
-                aria-label="Email Address"
-                autoComplete="email"
-              />
             </div>
-          </div>
 
-          {/* Password field */}
-          <div>
-            <label htmlFor="password" className="block text-gray-700 text-sm font-medium mb-1">Password</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaLock className="text-gray-400" aria-hidden="true" />
+            {/* Password field */}
+            <div>
+              <label htmlFor="password" className="block text-gray-700 text-sm font-medium mb-1">Password</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaLock className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="password"
+                  type="password"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Enter your password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  aria-label="Password"
+                  autoComplete="current-password"
+                />
               </div>
-              <input
-                id="password"
-                type="password"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Enter your password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                required
-                aria-label="Password"
-                autoComplete="current-password"
-              />
             </div>
-          </div>
 
-          {/* Submit button with loading state */}
-          <button
-            type="submit"
-            className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
-              loading
-                ? "bg-gray-400 cursor-not-allowed"
-                : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
-            }`}
-            disabled={loading}
-            aria-label="Login Button"
-          >
-            {loading ? (
-              <span className="flex items-center justify-center">
-                <FaSpinner className="animate-spin mr-2" aria-hidden="true" />
-                Logging in...
-              </span>
-            ) : (
-              "Login"
-            )}
-          </button>
-        </form>
+            {/* Submit button with loading state */}
+            <button
+              type="submit"
+              className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
+                loading
+                  ? "bg-gray-400 cursor-not-allowed"
+                  : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
+              }`}
+              disabled={loading}
+              aria-label="Login Button"
+            >
+              {loading ? (
+                <span className="flex items-center justify-center">
+                  <FaSpinner className="animate-spin mr-2" aria-hidden="true" />
+                  Logging in...
+                </span>
+              ) : (
+                "Login"
+              )}
+            </button>
+          </form>
+        )}
 
         {/* Additional links */}
         <div className="text-center mt-4 space-y-2">
@@ -0,0 +1,50 @@
+import React from "react";
+import { FaCheck, FaTimes } from "react-icons/fa";
+import { checkPassword } from "../../utils/passwordPolicy";
+
+/**
+ * Strength meter plus a checklist of the password policy rules, so users
+ * see exactly what the server will accept before they submit.
+ */
+const PasswordStrength = ({ password, policy }) => {
+  if (!password) return null;
+
+  const rules = checkPassword(password, policy);
+  const met = rules.filter((rule) => rule.met).length;
+  const allMet = met === rules.length;
+  const color = allMet ? "green" : met >= rules.length / 2 ? "yellow" : "red";
+
+  return (
+    <div className="mt-1">
+      <div className="flex items-center">
+        <div className="w-full bg-gray-200 rounded-full h-2 mr-2">
+          <div
+            className={`h-2 rounded-full ${
+              color === "red" ? "bg-red-500" : color === "yellow" ? "bg-yellow-500" : "bg-green-500"
+            }`}
+            style={{ width: `${(met / rules.length) * 100}%` }}
+          ></div>
+        </div>
+        <span
+          className={`text-xs ${
+            color === "red" ? "text-red-500" : color === "yellow" ? "text-yellow-600" : "text-green-500"
+          }`}
+        >
+          {allMet ? "Strong" : color === "yellow" ? "Moderate" : "Weak"}
+        </span>
+      </div>
+      {!allMet && (
+        <ul className="mt-1 space-y-0.5">
+          {rules.map(({ label, met: ruleMet }) => (
+            <li key={label} className={`flex items-center text-xs ${ruleMet ? "text-green-600" : "text-gray-500"}`}>
+              {ruleMet ? <FaCheck className="mr-1" aria-hidden="true" /> : <FaTimes className="mr-1" aria-hidden="true" />}
+              {label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PasswordStrength;
@@ -1,5 +1,9 @@
 import React, { useState } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
+import * as api from "../../api";
+import { meetsPasswordPolicy } from "../../utils/passwordPolicy";
+import { usePasswordPolicy } from "../../hooks/usePasswordPolicy";
+import PasswordStrength from "./PasswordStrength";
 
 const ResetPassword = () => {
   const [password, setPassword] = useState("");
@@ -9,6 +13,7 @@ const ResetPassword = () => {
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
+  const passwordPolicy = usePasswordPolicy();
 
   // Extract token from URL
   const queryParams = new URLSearchParams(location.search);
@@ -27,22 +32,17 @@ const ResetPassword = () => {
       return;
     }
 
+    if (!meetsPasswordPolicy(password, passwordPolicy)) {
+      setError("Password doesn't meet the requirements below.");
+      return;
+    }
+
     setLoading(true);
     try {
-      const res = await fetch("https://zidio-task-management-backend.onrender.com/api/reset-password", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ token, password }),
-      });
-
-      const data = await res.json();
-      if (res.ok) {
-        setMessage("Password reset successful! Please log in.");
-      } else {
-        setError(data.message || "Failed to reset password.");
-      }
+      await api.resetPassword(token, password);
+      setMessage("Password reset successful! Please log in.");
     } catch (err) {
-      setError("Something went wrong. Try again.");
+      setError(api.errorMessage(err, "Something went wrong. Try again."));
     } finally {
       setLoading(false);
     }
@@ -86,6 +86,7 @@ const ResetPassword = () => {
               onChange={(e) => setPassword(e.target.value)}
               required
             />
+            <PasswordStrength password={password} policy={passwordPolicy} />
           </div>
           <div>
             <label className="block text-gray-600 text-sm">Confirm Password</label>
@@ -7,10 +7,11 @@
  * 
  * Features:
  * - Form validation with clear error feedback
- * - Password strength and matching validation
+ * - Password strength and matching validation against the server's password policy
  * - Role-based account creation
  * - Persistent user storage in localStorage
- * - Automatic login after successful registration
+ * - Email verification notice after successful registration, mentioning
+ *   when the account also has to be approved by an administrator
  * 
  * @author Senior Full-Stack Engineer
  * @version 2.0.0
@@ -19,7 +20,12 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
-import { FaUser, FaEnvelope, FaLock, FaExclamationCircle, FaSpinner } from "react-icons/fa";
+import { homePathFor } from "../../utils/permissions";
+import { meetsPasswordPolicy } from "../../utils/passwordPolicy";
+import { usePasswordPolicy } from "../../hooks/usePasswordPolicy";
+import * as api from "../../api";
+import PasswordStrength from "./PasswordStrength";
+import { FaUser, FaEnvelope, FaLock, FaExclamationCircle, FaSpinner, FaEnvelopeOpenText } from "react-icons/fa";
 
 const Signup = () => {
   // Form state with proper initialization
@@ -30,16 +36,14 @@ const Signup = () => {
     confirmPassword: "",
   });
   const [error, setError] = useState("");
+  // Set once the account exists; the user signs in after verifying their email
+  const [notice, setNotice] = useState("");
   const [loading, setLoading] = useState(false);
-  const [passwordStrength, setPasswordStrength] = useState({
-    score: 0,
-    message: "",
-    color: "gray"
-  });
   const [role, setRole] = useState("user");
   
   // Hooks initialization
-  const { signup } = useAuth();
+  const { user } = useAuth();
+  const passwordPolicy = usePasswordPolicy();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -55,12 +59,10 @@ const Signup = () => {
    * Redirects authenticated users to appropriate dashboard
    */
   useEffect(() => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      const userRole = localStorage.getItem("userRole");
-      navigate(userRole === "admin" ? "/admin/dashboard" : "/user/dashboard");
+    if (user) {
+      navigate(homePathFor(user));
     }
-  }, [navigate]);
+  }, [user, navigate]);
 
   /**
    * Handles form input changes and updates state
@@ -74,51 +76,6 @@ const Signup = () => {
       ...prevData,
       [name]: value
     }));
-    
-    // Check password strength when password field changes
-    if (name === 'password') {
-      evaluatePasswordStrength(value);
-    }
-  };
-
-  /**
-   * Evaluates password strength and updates UI feedback
-   * 
-   * @param {string} password - Password to evaluate
-   */
-  const evaluatePasswordStrength = (password) => {
-    // Simple password strength evaluation
-    let score = 0;
-    let message = "";
-    let color = "gray";
-    
-    if (!password) {
-      setPasswordStrength({ score: 0, message: "", color: "gray" });
-      return;
-    }
-    
-    // Length check
-    if (password.length >= 8) score += 1;
-    if (password.length >= 12) score += 1;
-    
-    // Complexity checks
-    if (/[A-Z]/.test(password)) score += 1;
-    if (/[0-9]/.test(password)) score += 1;
-    if (/[^A-Za-z0-9]/.test(password)) score += 1;
-    
-    // Determine message and color based on score
-    if (score < 2) {
-      message = "Weak";
-      color = "red";
-    } else if (score < 4) {
-      message = "Moderate";
-      color = "yellow";
-    } else {
-      message = "Strong";
-      color = "green";
-    }
-    
-    setPasswordStrength({ score, message, color });
   };
 
   /**
@@ -157,37 +114,22 @@ const Signup = () => {
       return;
     }
     
-    // Validate password strength
-    if (formData.password.length < 6) {
-      setError("Password must be at least 6 characters");
+    // Validate against the same policy the server enforces
+    if (!meetsPasswordPolicy(formData.password, passwordPolicy)) {
+      setError("Password doesn't meet the requirements below");
       return;
     }
 
     setLoading(true);
 
     try {
-      const response = await fetch("http://localhost:5000/api/auth/register", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ fullName, email, password, role }),
-      });
-
-      const data = await response.json();
+      const data = await api.register({ fullName, email, password, role });
 
-      if (!response.ok) {
-        throw new Error(data.message || "Registration failed");
-      }
-
-      signup();
-
-      localStorage.setItem("token", data.token);
-      localStorage.setItem("userRole", role);
-      localStorage.setItem("email", email);
-
-      navigate(role === "admin" ? "/admin/dashboard" : "/user/dashboard");
+      // New accounts get no tokens until the email address is verified
+      setNotice(data.message);
     } catch (err) {
       console.error("Registration error:", err);
-      setError("Failed to create an account. Please try again.");
+      setError(api.errorMessage(err, "Failed to create an account. Please try again."));
     } finally {
       setLoading(false);
     }
@@ -201,6 +143,17 @@ const Signup = () => {
           {role === "admin" ? "Admin Registration" : "User Registration"}
         </h2>
 
+        {notice && (
+          <div className="bg-blue-50 border-l-4 border-blue-500 p-4 mb-6 rounded" role="status">
+            <div className="flex items-center">
+              <FaEnvelopeOpenText className="text-blue-500 mr-2" aria-hidden="true" />
+              <p className="text-blue-700 text-sm">
+                {notice} We sent it to {formData.email}.
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Error display with animation */}
         {error && (
           <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6 rounded animate-pulse" role="alert">
@@ -212,150 +165,132 @@ const Signup = () => {
         )}
 
         {/* Registration form */}
-        <form onSubmit={handleSubmit} className="space-y-4">
-          {/* Full Name field */}
-          <div>
-            <label htmlFor="fullName" className="block text-gray-700 text-sm font-medium mb-1">Full Name</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaUser className="text-gray-400" aria-hidden="true" />
+        {!notice && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {/* Full Name field */}
+            <div>
+              <label htmlFor="fullName" className="block text-gray-700 text-sm font-medium mb-1">Full Name</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaUser className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="fullName"
+                  type="text"
+                  name="fullName"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Enter your full name"
+                  value={formData.fullName}
+                  onChange={handleChange}
+                  required
+                  aria-label="Full Name"
+                  autoComplete="name"
+                />
               </div>
-              <input
-                id="fullName"
-                type="text"
-                name="fullName"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Enter your full name"
-                value={formData.fullName}
-                onChange={handleChange}
-                required
-                aria-label="Full Name"
-                autoComplete="name"
-              />
             </div>
-          </div>
 
-          {/* Email field */}
-          <div>
-            <label htmlFor="email" className="block text-gray-700 text-sm font-medium mb-1">Email</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaEnvelope className="text-gray-400" aria-hidden="true" />
+            {/* Email field */}
+            <div>
+              <label htmlFor="email" className="block text-gray-700 text-sm font-medium mb-1">Email</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaEnvelope className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="email"
+                  type="email"
+                  name="email"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Enter your email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                  aria-label="Email Address"
+                  autoComplete="email"
+                />
               </div>
-              <input
-                id="email"
-                type="email"
-                name="email"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Enter your email"
-                value={formData.email}
-                onChange={handleChange}
-                required
-                aria-label="Email Address"
-                autoComplete="email"
-              />
             </div>
-          </div>
 
-          {/* Password field */}
-          <div>
-            <label htmlFor="password" className="block text-gray-700 text-sm font-medium mb-1">Password</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaLock className="text-gray-400" aria-hidden="true" />
-              </div>
-              <input
-                id="password"
-                type="password"
-                name="password"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Create a password"
-                value={formData.password}
-                onChange={handleChange}
-                required
-                aria-label="Password"
-                autoComplete="new-password"
-              />
-            </div>
-            
-            {/* Password strength indicator */}
-            {formData.password && (
-              <div className="mt-1 flex items-center">
-                <div className="w-full bg-gray-200 rounded-full h-2 mr-2">
-                  <div 
-                    className={`h-2 rounded-full ${
-                      passwordStrength.color === "red" ? "bg-red-500" : 
-                      passwordStrength.color === "yellow" ? "bg-yellow-500" : 
-                      passwordStrength.color === "green" ? "bg-green-500" : "bg-gray-300"
-                    }`}
-                    style={{ width: `${(passwordStrength.score / 5) * 100}%` }}
-                  ></div>
+            {/* Password field */}
+            <div>
+              <label htmlFor="password" className="block text-gray-700 text-sm font-medium mb-1">Password</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaLock className="text-gray-400" aria-hidden="true" />
                 </div>
-                <span className={`text-xs ${
-                  passwordStrength.color === "red" ? "text-red-500" : 
-                  passwordStrength.color === "yellow" ? "text-yellow-600" : 
-                  passwordStrength.color === "green" ? "text-green-500" : "text-gray-500"
-                }`}>
-                  {passwordStrength.message}
-                </span>
+                <input
+                  id="password"
+                  type="password"
+                  name="password"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Create a password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  aria-label="Password"
+                  autoComplete="new-password"
+                />
               </div>
-            )}
-          </div>
+              
+              {/* Password strength indicator */}
+              <PasswordStrength password={formData.password} policy={passwordPolicy} />
+            </div>
 
-          {/* Confirm Password field */}
-          <div>
-            <label htmlFor="confirmPassword" className="block text-gray-700 text-sm font-medium mb-1">Confirm Password</label>
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <FaLock className="text-gray-400" aria-hidden="true" />
+            {/* Confirm Password field */}
+            <div>
+              <label htmlFor="confirmPassword" className="block text-gray-700 text-sm font-medium mb-1">Confirm Password</label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaLock className="text-gray-400" aria-hidden="true" />
+                </div>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  name="confirmPassword"
+                  className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
+                  placeholder="Confirm your password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  required
+                  aria-label="Confirm Password"
+                  autoComplete="new-password"
+                />
               </div>
-              <input
-                id="confirmPassword"
-                type="password"
-                name="confirmPassword"
-                className="w-full pl-10 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none shadow-sm"
-                placeholder="Confirm your password"
-                value={formData.confirmPassword}
-                onChange={handleChange}
-                required
-                aria-label="Confirm Password"
-                autoComplete="new-password"
-              />
+              
+              {/* Password match indicator */}
+              {formData.password && formData.confirmPassword && (
+                <p className={`text-xs mt-1 ${
+                  formData.password === formData.confirmPassword ? "text-green-500" : "text-red-500"
+                }`}>
+                  {formData.password === formData.confirmPassword ? 
+                    "Passwords match" : 
+                    "Passwords do not match"}
+                </p>
+              )}
             </div>
-            
-            {/* Password match indicator */}
-            {formData.password && formData.confirmPassword && (
-              <p className={`text-xs mt-1 ${
-                formData.password === formData.confirmPassword ? "text-green-500" : "text-red-500"
-              }`}>
-                {formData.password === formData.confirmPassword ? 
-                  "Passwords match" : 
-                  "Passwords do not match"}
-              </p>
-            )}
-          </div>
 
-          {/* Submit button with loading state */}
-          <button
-            type="submit"
-            className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
-              loading
-                ? "bg-gray-400 cursor-not-allowed"
-                : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
-            }`}
-            disabled={loading}
-            aria-label="Sign Up Button"
-          >
-            {loading ? (
-              <span className="flex items-center justify-center">
-                <FaSpinner className="animate-spin mr-2" aria-hidden="true" />
-                Creating Account...
-              </span>
-            ) : (
-              "Sign Up"
-            )}
-          </button>
-        </form>
+            {/* Submit button with loading state */}
+            <button
+              type="submit"
+              className={`w-full py-2 rounded-md shadow-md transition duration-200 text-white ${
+                loading
+                  ? "bg-gray-400 cursor-not-allowed"
+                  : "bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
+              }`}
+              disabled={loading}
+              aria-label="Sign Up Button"
+            >
+              {loading ? (
+                <span className="flex items-center justify-center">
+                  <FaSpinner className="animate-spin mr-2" aria-hidden="true" />
+                  Creating Account...
+                </span>
+              ) : (
+                "Sign Up"
+              )}
+            </button>
+          </form>
+        )}
 
         {/* Additional links */}
         <div className="text-center mt-4">
@@ -370,6 +305,9 @@ const Signup = () => {
               <option value="admin">Admin</option>
             </select>
             </div>
+          {role === "admin" && (
+            <p className="text-xs text-gray-500 mb-2">Admin accounts must be approved before you can sign in.</p>
+          )}
           <span className="text-gray-600 text-sm">Already have an account? </span>
           <Link
             to="/login"
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from "react";
+import * as api from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+
+const inputClass = "w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none";
+
+/**
+ * Two-factor authentication panel: enrollment with a QR code, backup codes,
+ * and switching 2FA off again. Rendered inside a card by the settings pages.
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  // { qrCode, secret } while the user is scanning the QR code
+  const [setup, setSetup] = useState(null);
+  // Shown once, right after they are generated
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [disabling, setDisabling] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const { refreshUser } = useAuth();
+
+  const loadStatus = () =>
+    api
+      .fetchTwoFactorStatus()
+      .then(setStatus)
+      .catch((err) => setError(api.errorMessage(err, "Failed to load two-factor status")));
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Clears the form and reports the outcome of one action
+  const run = async (action, successMessage) => {
+    setError("");
+    setMessage("");
+    try {
+      await action();
+      setCode("");
+      setPassword("");
+      setMessage(successMessage);
+      await loadStatus();
+    } catch (err) {
+      setError(api.errorMessage(err, "Something went wrong. Try again."));
+    }
+  };
+
+  const startSetup = () =>
+    run(async () => {
+      setBackupCodes([]);
+      setSetup(await api.setupTwoFactor());
+    }, "");
+
+  const confirmSetup = () =>
+    run(async () => {
+      const data = await api.enableTwoFactor(code);
+      setSetup(null);
+      setBackupCodes(data.backupCodes);
+      // Unlocks the admin panel when 2FA was required
+      await refreshUser();
+    }, "Two-factor authentication is on.");
+
+  const disable = () =>
+    run(async () => {
+      await api.disableTwoFactor(password, code);
+      setDisabling(false);
+      setBackupCodes([]);
+    }, "Two-factor authentication is off.");
+
+  const newBackupCodes = () =>
+    run(async () => {
+      const data = await api.regenerateBackupCodes(code);
+      setBackupCodes(data.backupCodes);
+    }, "New backup codes generated. The old ones no longer work.");
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      className={inputClass}
+      placeholder="6-digit code"
+      aria-label="Authentication code"
+    />
+  );
+
+  return (
+    <div>
+      <h2 className="text-lg font-semibold mb-4">Two-Factor Authentication</h2>
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+      {message && <p className="text-green-600 text-sm mb-3">{message}</p>}
+
+      {!status ? (
+        <p className="text-gray-500 text-sm">Loading...</p>
+      ) : status.enabled ? (
+        <div className="space-y-3">
+          <p className="text-gray-700 text-sm">
+            Two-factor authentication is <span className="font-semibold text-green-600">on</span>.{" "}
+            {status.backupCodesRemaining} backup codes left.
+          </p>
+          {codeInput}
+          {disabling && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+              placeholder="Current password"
+              aria-label="Current password"
+            />
+          )}
+          <div className="flex flex-wrap gap-2">
+            <button onClick={newBackupCodes} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+              New Backup Codes
+            </button>
+            {status.required ? (
+              <p className="text-xs text-gray-500 self-center">Required for your role, so it can't be turned off.</p>
+            ) : disabling ? (
+              <button onClick={disable} className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600">
+                Confirm Turn Off
+              </button>
+            ) : (
+              <button onClick={() => setDisabling(true)} className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600">
+                Turn Off
+              </button>
+            )}
+          </div>
+        </div>
+      ) : setup ? (
+        <div className="space-y-3">
+          <p className="text-gray-700 text-sm">
+            Scan this QR code with an authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 mx-auto" />
+          <p className="text-xs text-gray-500 text-center break-all">
+            Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+          </p>
+          {codeInput}
+          <div className="flex gap-2">
+            <button onClick={() => setSetup(null)} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+              Cancel
+            </button>
+            <button onClick={confirmSetup} className="flex-1 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600">
+              Verify and Turn On
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <p className="text-gray-700 text-sm">
+            Protect your account with a code from an authenticator app each time you log in.
+          </p>
+          {status.required && (
+            <p className="text-sm text-red-600">Your role requires two-factor authentication to use the admin panel.</p>
+          )}
+          <button onClick={startSetup} className="w-full px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600">
+            Set Up Two-Factor Authentication
+          </button>
+        </div>
+      )}
+
+      {backupCodes.length > 0 && (
+        <div className="mt-4 p-4 bg-yellow-50 border border-yellow-300 rounded-lg">
+          <p className="text-sm text-gray-700 mb-2">
+            Save these backup codes somewhere safe. Each one can be used once if you lose your authenticator.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {backupCodes.map((backupCode) => (
+              <li key={backupCode}>{backupCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { verifyEmail } from "../../api";
+
+const VerifyEmail = () => {
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+  // The token is single-use, so StrictMode's second effect run must not send it again
+  const requested = useRef(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Extract token from URL
+  const token = new URLSearchParams(location.search).get("token");
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setError("This verification link is missing its token.");
+      setLoading(false);
+      return;
+    }
+
+    verifyEmail(token)
+      .then((data) => setMessage(data.message))
+      .catch((err) => setError(err.message || "Failed to verify email."))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100">
+      <div className="bg-white shadow-md rounded-lg p-6 w-full max-w-md text-center">
+        <h2 className="text-2xl font-semibold text-gray-700 mb-4">Email Verification</h2>
+
+        {loading && <p className="text-gray-500 text-sm">Verifying your email...</p>}
+        {message && <p className="text-green-500 text-sm">{message}</p>}
+        {error && (
+          <p className="text-red-500 text-sm">
+            {error} You can request a new link from the login page.
+          </p>
+        )}
+
+        {!loading && (
+          <button
+            onClick={() => navigate("/login")}
+            className="mt-4 bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
+          >
+            Go to Login
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,79 @@
+import React, { useEffect, useMemo, useState } from "react";
+import * as api from "../../api";
+
+/**
+ * Multi-select list of users a task can be assigned to.
+ * Nothing selected means the server assigns the task to its creator.
+ *
+ * @param {Object} props - Component props
+ * @param {string[]} props.value - Selected user ids
+ * @param {Function} props.onChange - Called with the new list of ids
+ * @param {string} [props.currentUserId] - Shown as "(me)" in the list
+ */
+const AssigneePicker = ({ value, onChange, currentUserId }) => {
+  const [users, setUsers] = useState([]);
+  const [search, setSearch] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .fetchAssignees()
+      .then((data) => !cancelled && setUsers(data))
+      .catch((err) => !cancelled && setError(api.errorMessage(err, "Failed to load users")));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const visible = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (!term) return users;
+    return users.filter(
+      (user) => user.fullName.toLowerCase().includes(term) || user.email.toLowerCase().includes(term)
+    );
+  }, [users, search]);
+
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter((selected) => selected !== id) : [...value, id]);
+  };
+
+  return (
+    <div>
+      <input
+        type="search"
+        placeholder="Search people"
+        className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        aria-label="Search people to assign"
+      />
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+      <ul className="mt-2 max-h-40 overflow-y-auto border rounded-lg divide-y" role="group" aria-label="Assignees">
+        {visible.map((user) => (
+          <li key={user._id}>
+            <label className="flex items-center gap-2 px-3 py-2 cursor-pointer hover:bg-gray-50">
+              <input
+                type="checkbox"
+                checked={value.includes(user._id)}
+                onChange={() => toggle(user._id)}
+                className="accent-blue-600"
+              />
+              <span className="text-sm text-gray-800">
+                {user.fullName}
+                {user._id === currentUserId && " (me)"}
+              </span>
+              <span className="text-xs text-gray-500 truncate">{user.email}</span>
+            </label>
+          </li>
+        ))}
+        {!visible.length && !error && <li className="px-3 py-2 text-sm text-gray-500">No matching users</li>}
+      </ul>
+      <p className="text-xs text-gray-500 mt-1">
+        {value.length ? `${value.length} selected` : "Nobody selected: the task is assigned to you."}
+      </p>
+    </div>
+  );
+};
+
+export default AssigneePicker;
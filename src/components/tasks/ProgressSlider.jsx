@@ -0,0 +1,41 @@
+import React, { useState } from "react";
+
+/**
+ * Progress range input that saves once the user lets go, not on every step
+ * of a drag. Releasing the pointer, releasing a key or leaving the slider
+ * all count as letting go.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.value - Saved progress, 0 to 100
+ * @param {Function} props.onSave - Called with the new progress when it changed
+ */
+const ProgressSlider = ({ value, onSave }) => {
+  // The value being dragged to, or null while showing the saved one
+  const [draft, setDraft] = useState(null);
+  const shown = draft ?? value;
+
+  const commit = () => {
+    if (draft !== null && draft !== value) onSave(draft);
+    setDraft(null);
+  };
+
+  return (
+    <>
+      <input
+        type="range"
+        min="0"
+        max="100"
+        value={shown}
+        onChange={(e) => setDraft(Number(e.target.value))}
+        onPointerUp={commit}
+        onKeyUp={commit}
+        onBlur={commit}
+        className="w-full mt-2 accent-blue-600"
+        aria-label="Progress"
+      />
+      <span className="text-sm font-medium text-gray-700">{shown}% Completed</span>
+    </>
+  );
+};
+
+export default ProgressSlider;
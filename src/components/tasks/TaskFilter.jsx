@@ -3,39 +3,33 @@
  * 
  * A comprehensive task filtering component that allows users to filter tasks
  * by completion status and search by title. Implements real-time filtering
- * with localStorage integration for persistent data access.
+ * on the shared task state from the TasksProvider.
  * 
  * Features:
- * - Filter tasks by completion status (All/Complete/Incomplete)
+ * - Filter tasks by completion (All/Complete/Incomplete) or workflow status
  * - Search tasks by title with real-time results
  * - Responsive design with mobile optimization
  * - Accessibility support with ARIA attributes
- * - Integration with localStorage for data persistence
+ * - Reads tasks through the useTasks hook so counts stay in sync
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { FaSearch, FaFilter, FaSpinner, FaExclamationTriangle, FaTasks } from 'react-icons/fa';
 import Sidebar from '../admin/Sidebar';
 import UserSidebar from '../../pages/UserPages/UserSidebar';
 import { useAuth } from "../../contexts/AuthContext";
+import { useTasks } from "../../hooks/useTasks";
+import { TASK_STATUSES, countByStatus, getStatusLabel, isDone } from "../../utils/taskStatus";
 
 const TaskFilter = () => {
-  // State management with proper initialization
-  const [tasks, setTasks] = useState([]);
-  const [filteredTasks, setFilteredTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Shared task state from the TasksProvider
+  const { tasks, loading: tasksLoading, error } = useTasks();
   const [filters, setFilters] = useState({
     status: 'all',
     search: ''
-  });
-  const [counts, setCounts] = useState({
-    all: 0,
-    complete: 0,
-    incomplete: 0
   });
     const { isAdmin } = useAuth();
 
@@ -43,110 +37,49 @@ const TaskFilter = () => {
       return isAdmin() ? <Sidebar /> : <UserSidebar />
     }, [isAdmin])
 
-  /**
-   * Load tasks from localStorage
-   * Uses localStorage for cross-component data sharing
-   */
-  useEffect(() => {
-    const loadTasks = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Get tasks from localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          
-          // Apply initial filtering
-          applyFilters(parsedTasks, filters);
-          
-          // Calculate counts
-          updateCounts(parsedTasks);
-        } else {
-          // Initialize with empty array if no tasks exist
-          setTasks([]);
-          setFilteredTasks([]);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          applyFilters(updatedTasks, filters);
-          updateCounts(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
+  // Only show the spinner when there is nothing cached to display yet
+  const loading = tasksLoading && tasks.length === 0;
 
   /**
-   * Update task counts by status
-   * 
-   * @param {Array} taskList - List of tasks to count
+   * Task counts by status
    */
-  const updateCounts = (taskList) => {
-    const completeTasks = taskList.filter(task => task.status === 'complete').length;
-    const incompleteTasks = taskList.filter(task => task.status === 'incomplete').length;
-    
-    setCounts({
-      all: taskList.length,
+  const counts = useMemo(() => {
+    const completeTasks = tasks.filter(isDone).length;
+
+    return {
+      ...countByStatus(tasks),
+      all: tasks.length,
       complete: completeTasks,
-      incomplete: incompleteTasks
-    });
-  };
+      incomplete: tasks.length - completeTasks
+    };
+  }, [tasks]);
 
   /**
-   * Apply filters to tasks based on current filter settings
-   * Memoized with useCallback to prevent unnecessary re-renders
-   * 
-   * @param {Array} taskList - List of tasks to filter
-   * @param {Object} filterSettings - Current filter settings
+   * Tasks matching the current filter settings
    */
-  const applyFilters = useCallback((taskList, filterSettings) => {
-    let result = [...taskList];
+  const filteredTasks = useMemo(() => {
+    let result = [...tasks];
     
     // Apply status filter
-    if (filterSettings.status !== 'all') {
-      result = result.filter(task => task.status === filterSettings.status);
+    if (filters.status === 'complete') {
+      result = result.filter(isDone);
+    } else if (filters.status === 'incomplete') {
+      result = result.filter(task => !isDone(task));
+    } else if (filters.status !== 'all') {
+      result = result.filter(task => task.status === filters.status);
     }
     
     // Apply search filter
-    if (filterSettings.search.trim()) {
-      const searchTerm = filterSettings.search.toLowerCase().trim();
+    if (filters.search.trim()) {
+      const searchTerm = filters.search.toLowerCase().trim();
       result = result.filter(task => 
         task.title.toLowerCase().includes(searchTerm) || 
-        task.description.toLowerCase().includes(searchTerm)
+        (task.description || '').toLowerCase().includes(searchTerm)
       );
     }
     
-    setFilteredTasks(result);
-  }, []);
+    return result;
+  }, [tasks, filters]);
 
   /**
    * Handle filter changes
@@ -155,13 +88,10 @@ const TaskFilter = () => {
    * @param {string} value - New filter value
    */
   const handleFilterChange = (filterType, value) => {
-    const newFilters = {
-      ...filters,
+    setFilters(prev => ({
+      ...prev,
       [filterType]: value
-    };
-    
-    setFilters(newFilters);
-    applyFilters(tasks, newFilters);
+    }));
   };
 
   // Loading state
@@ -181,7 +111,7 @@ const TaskFilter = () => {
   }
 
   // Error state
-  if (error) {
+  if (error && tasks.length === 0) {
     return (
       <div className="p-6 text-red-500 flex items-center" aria-live="assertive" role="alert">
         <FaExclamationTriangle className="mr-2" aria-hidden="true" />
@@ -241,6 +171,11 @@ const TaskFilter = () => {
               <option value="all">All Tasks ({counts.all})</option>
               <option value="complete">Complete ({counts.complete})</option>
               <option value="incomplete">Incomplete ({counts.incomplete})</option>
+              <optgroup label="Workflow status">
+                {TASK_STATUSES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label} ({counts[value]})</option>
+                ))}
+              </optgroup>
             </select>
           </div>
         </div>
@@ -258,9 +193,7 @@ const TaskFilter = () => {
           <button
             className="mt-2 px-4 py-2 text-sm text-blue-600 hover:text-blue-800"
             onClick={() => {
-              const resetFilters = { status: 'all', search: '' };
-              setFilters(resetFilters);
-              applyFilters(tasks, resetFilters);
+              setFilters({ status: 'all', search: '' });
             }}
           >
             Reset Filters
@@ -272,29 +205,29 @@ const TaskFilter = () => {
             <li key={task._id} className="py-4">
               <div className="flex items-start justify-between">
                 <div className="flex-1 min-w-0">
-                  <h3 className={`text-lg font-medium ${task.status === 'complete' ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+                  <h3 className={`text-lg font-medium ${isDone(task) ? 'line-through text-gray-500' : 'text-gray-900'}`}>
                     {task.title}
                   </h3>
-                  <p className={`mt-1 text-sm ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
+                  <p className={`mt-1 text-sm ${isDone(task) ? 'text-gray-400' : 'text-gray-600'}`}>
                     {task.description}
                   </p>
                   <div className="mt-2 flex flex-wrap gap-2">
                     <span 
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        task.status === 'complete' 
+                        isDone(task) 
                           ? 'bg-green-100 text-green-800' 
                           : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
-                      {task.status === 'complete' ? 'Complete' : 'Incomplete'}
+                      {getStatusLabel(task.status)}
                     </span>
                     
                     {task.priority && (
                       <span 
                         className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                          task.priority === 'high' 
+                          task.priority?.toLowerCase() === 'high' 
                             ? 'bg-red-100 text-red-800' 
-                            : task.priority === 'medium'
+                            : task.priority?.toLowerCase() === 'medium'
                               ? 'bg-yellow-100 text-yellow-800'
                               : 'bg-green-100 text-green-800'
                         }`}
@@ -305,9 +238,9 @@ const TaskFilter = () => {
                   </div>
                 </div>
                 
-                {task.dueDate && (
+                {task.deadline && (
                   <div className="ml-4 flex-shrink-0 text-sm text-gray-500">
-                    Due: {new Date(task.dueDate).toLocaleDateString()}
+                    Due: {new Date(task.deadline).toLocaleDateString()}
                   </div>
                 )}
               </div>
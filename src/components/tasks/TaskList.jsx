@@ -2,160 +2,43 @@
  * TaskList Component
  * 
  * A comprehensive task management component that displays tasks in a dropdown from the navbar.
- * Implements full CRUD functionality with localStorage persistence for data sharing between components.
+ * Reads and updates tasks through the shared TasksProvider so every view stays in sync.
  * 
  * Features:
  * - Displays task title, description, status, priority, and due date
  * - Allows marking tasks as complete/incomplete
  * - Provides task editing capability with validation
- * - Implements localStorage for persistent storage and cross-component data sharing
+ * - Uses the useTasks hook for persistence and cross-component data sharing
  * - Includes loading, error, and empty states with appropriate UI feedback
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.1.0
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { FaCheck, FaEdit, FaSpinner, FaExclamationTriangle, FaCalendarAlt, FaFlag } from 'react-icons/fa';
+import { useTasks } from '../../hooks/useTasks';
+import { DEFAULT_STATUS, DONE_STATUS, canTransition, getStatusLabel, isDone } from '../../utils/taskStatus';
 
 const TaskList = () => {
-  // State management with proper initialization
-  const [tasks, setTasks] = useState([]);
-  const [filteredTasks, setFilteredTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Shared task state from the TasksProvider
+  const { tasks, loading, error, updateTask } = useTasks();
   const [editingTask, setEditingTask] = useState(null);
   const [editForm, setEditForm] = useState({ title: '', description: '' });
 
-  /**
-   * Load tasks from localStorage or initialize with mock data
-   * Uses localStorage for cross-component data sharing
-   */
-  useEffect(() => {
-    const loadTasks = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Check for existing tasks in localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          // Parse and use stored tasks
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          setFilteredTasks(parsedTasks);
-        } else {
-          // Initialize with mock data if no stored tasks exist
-          const mockTasks = [
-            {
-              _id: '1',
-              title: 'Complete project documentation',
-              description: 'Write comprehensive documentation for the TaskFlow project',
-              status: 'incomplete',
-              priority: 'high',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date().toISOString()
-            },
-            {
-              _id: '2',
-              title: 'Fix navigation bug',
-              description: 'Address the issue with sidebar navigation on mobile devices',
-              status: 'complete',
-              priority: 'medium',
-              dueDate: new Date().toISOString(),
-              createdAt: new Date(Date.now() - 86400000).toISOString()
-            },
-            {
-              _id: '3',
-              title: 'Implement user feedback',
-              description: 'Add the user feedback form to the dashboard',
-              status: 'incomplete',
-              priority: 'low',
-              dueDate: new Date(Date.now() + 86400000).toISOString(),
-              createdAt: new Date(Date.now() - 172800000).toISOString()
-            },
-            {
-              _id: '4',
-              title: 'Update dependencies',
-              description: 'Update all npm packages to their latest versions',
-              status: 'incomplete',
-              priority: 'medium',
-              dueDate: new Date(Date.now() + 172800000).toISOString(),
-              createdAt: new Date(Date.now() - 259200000).toISOString()
-            }
-          ];
-          
-          // Store mock tasks in localStorage for persistence
-          localStorage.setItem('tasks', JSON.stringify(mockTasks));
-          
-          setTasks(mockTasks);
-          setFilteredTasks(mockTasks);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          setFilteredTasks(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
-      }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
-
   /**
    * Toggle task completion status
-   * Updates both component state and localStorage
    * 
    * @param {string} taskId - ID of the task to update
    */
   const handleStatusChange = (taskId) => {
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            key: taskId,
-            status: task.status === 'complete' ? 'incomplete' : 'complete',
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    setFilteredTasks(updatedTasks);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+    const task = tasks.find(t => t._id === taskId);
+    if (!task) return;
+
+    const nextStatus = isDone(task) ? DEFAULT_STATUS : DONE_STATUS;
+    if (!canTransition(task.status, nextStatus)) return;
+
+    updateTask(taskId, { status: nextStatus }).catch(err => console.error('Error updating task status:', err));
   };
 
   /**
@@ -186,7 +69,6 @@ const TaskList = () => {
 
   /**
    * Save edited task
-   * Updates both component state and localStorage
    * 
    * @param {string} taskId - ID of the task being edited
    */
@@ -197,31 +79,13 @@ const TaskList = () => {
       return;
     }
     
-    // Update task with edited values
-    const updatedTasks = tasks.map(task => 
-      task._id === taskId 
-        ? { 
-            ...task, 
-            title: editForm.title, 
-            description: editForm.description,
-            updatedAt: new Date().toISOString()
-          } 
-        : task
-    );
-    
-    // Update local state
-    setTasks(updatedTasks);
-    setFilteredTasks(updatedTasks);
     setEditingTask(null);
-    
-    // Persist to localStorage for cross-component sharing
-    localStorage.setItem('tasks', JSON.stringify(updatedTasks));
-    
-    // Dispatch storage event for other components
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'tasks',
-      newValue: JSON.stringify(updatedTasks)
-    }));
+
+    // Update task with edited values
+    updateTask(taskId, {
+      title: editForm.title,
+      description: editForm.description
+    }).catch(err => console.error('Error saving task:', err));
   };
 
   /**
@@ -270,7 +134,7 @@ const TaskList = () => {
   };
 
   // Loading state
-  if (loading) {
+  if (loading && tasks.length === 0) {
     return (
       <div className="p-4 flex justify-center items-center" aria-live="polite" role="status">
         <FaSpinner className="animate-spin text-blue-500 text-2xl" aria-hidden="true" />
@@ -280,7 +144,7 @@ const TaskList = () => {
   }
 
   // Error state
-  if (error) {
+  if (error && tasks.length === 0) {
     return (
       <div className="p-4 text-red-500 flex items-center" aria-live="assertive" role="alert">
         <FaExclamationTriangle className="mr-2" aria-hidden="true" />
@@ -312,7 +176,7 @@ const TaskList = () => {
       <h3 className="text-lg font-semibold mb-4 text-gray-800 border-b pb-2">Your Tasks</h3>
       
       <ul className="space-y-3" aria-label="Task list">
-        {filteredTasks.map((task) => (
+        {tasks.map((task) => (
           <li key={task._id} className="border-b pb-3">
             {editingTask === task._id ? (
               // Edit form
@@ -360,19 +224,20 @@ const TaskList = () => {
               // Task display
               <div>
                 <div className="flex justify-between items-start">
-                  <h4 className={`font-medium ${task.status === 'complete' ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                  <h4 className={`font-medium ${isDone(task) ? 'line-through text-gray-500' : 'text-gray-800'}`}>
                     {task.title}
                   </h4>
                   <div className="flex space-x-2">
                     <button
                       onClick={() => handleStatusChange(task._id)}
+                      disabled={!isDone(task) && !canTransition(task.status, DONE_STATUS)}
                       className={`p-1 rounded ${
-                        task.status === 'complete' 
+                        isDone(task) 
                           ? 'bg-green-100 text-green-600' 
                           : 'bg-gray-100 text-gray-600'
-                      } hover:opacity-80 transition-opacity`}
-                      title={task.status === 'complete' ? 'Mark as incomplete' : 'Mark as complete'}
-                      aria-label={task.status === 'complete' ? 'Mark as incomplete' : 'Mark as complete'}
+                      } hover:opacity-80 transition-opacity disabled:opacity-40 disabled:cursor-not-allowed`}
+                      title={isDone(task) ? 'Mark as incomplete' : 'Mark as complete'}
+                      aria-label={isDone(task) ? 'Mark as incomplete' : 'Mark as complete'}
                     >
                       <FaCheck aria-hidden="true" />
                     </button>
@@ -387,7 +252,7 @@ const TaskList = () => {
                   </div>
                 </div>
                 
-                <p className={`text-sm mt-1 ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
+                <p className={`text-sm mt-1 ${isDone(task) ? 'text-gray-400' : 'text-gray-600'}`}>
                   {task.description}
                 </p>
                 
@@ -395,14 +260,14 @@ const TaskList = () => {
                   <div className="flex flex-wrap gap-2">
                     <span 
                       className={`text-xs px-2 py-1 rounded flex items-center ${
-                        task.status === 'complete' 
+                        isDone(task) 
                           ? 'bg-green-100 text-green-800' 
                           : 'bg-yellow-100 text-yellow-800'
                       }`}
-                      aria-label={`Status: ${task.status}`}
+                      aria-label={`Status: ${getStatusLabel(task.status)}`}
                     >
                       <FaCheck className="mr-1" aria-hidden="true" />
-                      {task.status === 'complete' ? 'Complete' : 'Incomplete'}
+                      {getStatusLabel(task.status)}
                     </span>
                     
                     {task.priority && (
@@ -416,13 +281,13 @@ const TaskList = () => {
                     )}
                   </div>
                   
-                  {task.dueDate && (
+                  {task.deadline && (
                     <span 
                       className="text-xs text-gray-500 flex items-center"
-                      title={`Due date: ${new Date(task.dueDate).toLocaleString()}`}
+                      title={`Due date: ${new Date(task.deadline).toLocaleString()}`}
                     >
                       <FaCalendarAlt className="mr-1" aria-hidden="true" />
-                      {formatDate(task.dueDate)}
+                      {formatDate(task.deadline)}
                     </span>
                   )}
                 </div>
@@ -6,15 +6,23 @@
  * 
  * Features:
  * - User authentication state management
- * - Login/logout functionality
- * - Token persistence
- * - Role-based access control support
+ * - Login/logout functionality, with logout recorded on the server
+ * - Token persistence with silent renewal through rotating refresh tokens
+ * - Permission-based access control driven by the server's /api/auth/me response
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
 import React, { createContext, useState, useContext, useEffect } from "react";
+import * as api from "../api";
+import { getTokenExpiry, isTokenExpired } from "../utils/token";
+import { userCan } from "../utils/permissions";
+
+// Renew the access token this long before it expires
+const RENEW_BEFORE_MS = 60 * 1000;
+// Wait before trying again when the server couldn't be reached
+const RENEW_RETRY_MS = 30 * 1000;
 
 // Create the authentication context
 const AuthContext = createContext();
@@ -36,21 +44,16 @@ export const useAuth = () => {
  */
 const AuthProvider = ({ children }) => {
   /**
-   * Initialize user state from localStorage if available
-   * This ensures authentication persists across page refreshes
+   * The signed-in user as reported by the server: { id, fullName, email, role, permissions }.
+   * Nothing in localStorage is trusted for identity or role.
    */
-  const [user, setUser] = useState(() => {
-    const token = localStorage.getItem("token");
-    const email = localStorage.getItem("email");
-    
-    return token && email ? { email } : null;
-  });
+  const [user, setUser] = useState(null);
   
   const [loading, setLoading] = useState(true);
 
   /**
-   * Effect to check token validity on mount
-   * In a production app, this would verify the token with the backend
+   * Effect to restore the session on mount
+   * The stored token is verified by the server before the app renders
    */
   useEffect(() => {
     const checkAuth = async () => {
@@ -58,21 +61,14 @@ const AuthProvider = ({ children }) => {
         const token = localStorage.getItem("token");
         
         if (token) {
-          // In a real app, we would validate the token with the server
-          // For this demo, we'll just check if it exists
-          const email = localStorage.getItem("email");
-          
-          if (email) {
-            setUser({ email });
-          } else {
-            // If email is missing but token exists, something is wrong
-            // Clear authentication data
-            handleLogout();
-          }
+          // An expired token is renewed by the API layer on the first 401
+          setUser(await api.fetchMe());
         }
       } catch (error) {
+        // Rejected tokens are already cleared by the API layer; a server
+        // outage leaves them in place so a reload can restore the session
         console.error("Authentication check failed:", error);
-        handleLogout();
+        setUser(null);
       } finally {
         setLoading(false);
       }
@@ -82,29 +78,53 @@ const AuthProvider = ({ children }) => {
   }, []);
 
   /**
-   * Handles user login
-   * @param {string} email - User's email
-   * @param {string} password - User's password (not used in mock implementation)
-   * @returns {Promise<Object>} User data
+   * Effect to renew the access token shortly before it expires,
+   * for as long as the user stays signed in
    */
-  const login = async (email) => {
-    // In a real app, this would make an API call
-    // For this demo, we just update the state
-    setUser({ email });
-    return { email };
-  };
+  useEffect(() => {
+    if (!user) return undefined;
+
+    let timer;
+    const schedule = () => {
+      const expiry = getTokenExpiry(localStorage.getItem("token") || "");
+      const delay = expiry ? Math.max(expiry - Date.now() - RENEW_BEFORE_MS, 0) : 0;
+      timer = setTimeout(renew, delay);
+    };
+    const renew = async () => {
+      // The API layer may already have renewed it after a 401
+      if (isTokenExpired(localStorage.getItem("token"), RENEW_BEFORE_MS)) {
+        try {
+          await api.refreshSession();
+        } catch (error) {
+          console.error("Silent token renewal failed:", error);
+          if (api.isSessionRejected(error)) handleLogout();
+          else timer = setTimeout(renew, RENEW_RETRY_MS);
+          return;
+        }
+      }
+      schedule();
+    };
+
+    schedule();
+    return () => clearTimeout(timer);
+  }, [user]);
 
   /**
-   * Handles user signup
-   * @param {string} email - User's email
-   * @param {string} password - User's password
-   * @returns {Promise<Object>} User data
+   * Effect to sign out when the API layer gives up on renewing the session
    */
-  const signup = async (email) => {
-    // In a real app, this would make an API call
-    // For this demo, we just update the state
-    setUser({ email });
-    return { email };
+  useEffect(() => {
+    window.addEventListener(api.SESSION_EXPIRED_EVENT, handleLogout);
+    return () => window.removeEventListener(api.SESSION_EXPIRED_EVENT, handleLogout);
+  }, []);
+
+  /**
+   * Loads the signed-in user once Login or Signup has stored the tokens
+   * @returns {Promise<Object>} User data from the server
+   */
+  const loadCurrentUser = async () => {
+    const me = await api.fetchMe();
+    setUser(me);
+    return me;
   };
 
   /**
@@ -114,6 +134,7 @@ const AuthProvider = ({ children }) => {
   const handleLogout = () => {
     // Clear all auth-related data from localStorage
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     localStorage.removeItem("userRole");
     localStorage.removeItem("userId");
     localStorage.removeItem("email");
@@ -121,10 +142,25 @@ const AuthProvider = ({ children }) => {
     // Reset user state
     setUser(null);
     
-    // In a real app, we might also invalidate the token on the server
     console.log("User logged out");
   };
 
+  /**
+   * Ends the session on the server, then clears local state.
+   * A failed request still signs the user out locally.
+   * @returns {Promise<void>}
+   */
+  const logout = async () => {
+    if (localStorage.getItem("token")) {
+      try {
+        await api.logout();
+      } catch (error) {
+        console.error("Logout request failed:", error);
+      }
+    }
+    handleLogout();
+  };
+
   /**
    * Handles password reset request
    * @param {string} email - User's email
@@ -141,10 +177,14 @@ const AuthProvider = ({ children }) => {
    * @param {string} requiredRole - Role to check for
    * @returns {boolean} Whether user has the required role
    */
-  const hasRole = (requiredRole) => {
-    const userRole = localStorage.getItem("userRole");
-    return userRole === requiredRole;
-  };
+  const hasRole = (requiredRole) => user?.role === requiredRole;
+
+  /**
+   * Checks if the current user holds a permission, e.g. "users:delete"
+   * @param {string} permission - Permission to check for
+   * @returns {boolean} Whether the server granted it to the user
+   */
+  const can = (permission) => userCan(user, permission);
 
   /**
    * Context value with authentication state and methods
@@ -152,12 +192,15 @@ const AuthProvider = ({ children }) => {
   const value = {
     user,
     loading,
-    login,
-    signup,
-    logout: handleLogout,
+    login: loadCurrentUser,
+    signup: loadCurrentUser,
+    // Re-reads the user after account security changes, e.g. turning on 2FA
+    refreshUser: loadCurrentUser,
+    logout,
     resetPassword,
     hasRole,
-    isAdmin: () => hasRole("admin"),
+    can,
+    isAdmin: () => can("admin:access"),
     isAuthenticated: !!user
   };
 
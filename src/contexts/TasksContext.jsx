@@ -0,0 +1,223 @@
+/**
+ * Tasks Context
+ *
+ * Single source of truth for task data across the application. Every page,
+ * chart and dropdown reads tasks through this provider so they all see the
+ * same state instead of parsing localStorage on their own.
+ *
+ * Features:
+ * - Loads tasks from the /api/tasks endpoint for the signed-in user
+ * - Caches the last known list in localStorage for instant first paint
+ * - Optimistic create/update/delete with a server refresh on failure
+ * - Board moves that persist status and in-column order
+ * - Keeps other browser tabs in sync through the storage event
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { useAuth } from "./AuthContext";
+import { TasksContext } from "../hooks/useTasks";
+import * as api from "../api";
+import { sortByRank } from "../utils/taskOrder";
+
+const CACHE_KEY = "tasks";
+
+/**
+ * Converts a task coming from the API into the shape the UI works with.
+ * Deadlines are kept as YYYY-MM-DD strings to match the date inputs.
+ * @param {Object} task - Task document from the server
+ * @returns {Object} Normalized task
+ */
+const normalizeTask = (task) => ({
+  ...task,
+  deadline: task.deadline ? String(task.deadline).slice(0, 10) : "",
+});
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Tasks Provider Component
+ * Owns loading, caching and mutations of the current user's tasks.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+const TasksProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [tasks, setTasks] = useState(readCache);
+  const [loading, setLoading] = useState(isAuthenticated);
+  const [error, setError] = useState(null);
+  const tempId = useRef(0);
+
+  /**
+   * Fetches the latest task list from the server
+   * @returns {Promise<void>}
+   */
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await api.fetchTasks();
+      setTasks(data.map(normalizeTask));
+      setError(null);
+    } catch (err) {
+      console.error("Failed to load tasks:", err);
+      setError("Failed to load tasks. Please try again later.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load on sign-in, clear everything on sign-out
+  useEffect(() => {
+    if (isAuthenticated) {
+      refresh();
+    } else {
+      setTasks([]);
+      setLoading(false);
+      localStorage.removeItem(CACHE_KEY);
+    }
+  }, [isAuthenticated, refresh]);
+
+  // Keep the cache in step with the in-memory list
+  useEffect(() => {
+    if (isAuthenticated) {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(tasks));
+    }
+  }, [tasks, isAuthenticated]);
+
+  // Pick up changes made in other tabs and on other devices
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const handleStorageChange = (e) => {
+      if (e.key !== CACHE_KEY) return;
+      try {
+        setTasks(JSON.parse(e.newValue || "[]"));
+      } catch (err) {
+        console.error("Error parsing tasks from storage:", err);
+      }
+    };
+
+    window.addEventListener("storage", handleStorageChange);
+    window.addEventListener("focus", refresh);
+    return () => {
+      window.removeEventListener("storage", handleStorageChange);
+      window.removeEventListener("focus", refresh);
+    };
+  }, [isAuthenticated, refresh]);
+
+  /**
+   * Creates a task
+   * @param {Object} task - Task fields
+   * @returns {Promise<Object>} The saved task
+   */
+  const addTask = useCallback(async (task) => {
+    tempId.current += 1;
+    const placeholderId = `temp-${tempId.current}`;
+    setTasks((prev) => [{ ...task, _id: placeholderId }, ...prev]);
+
+    try {
+      const saved = normalizeTask(await api.createTask(task));
+      setTasks((prev) => prev.map((t) => (t._id === placeholderId ? saved : t)));
+      return saved;
+    } catch (err) {
+      setTasks((prev) => prev.filter((t) => t._id !== placeholderId));
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Applies a partial update to a task
+   * @param {string} id - Task id
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} The saved task
+   */
+  const updateTask = useCallback(async (id, updates) => {
+    setTasks((prev) => prev.map((t) => (t._id === id ? { ...t, ...updates } : t)));
+
+    try {
+      const saved = normalizeTask(await api.updateTask(id, updates));
+      setTasks((prev) => prev.map((t) => (t._id === id ? saved : t)));
+      return saved;
+    } catch (err) {
+      refresh();
+      throw err;
+    }
+  }, [refresh]);
+
+  /**
+   * Deletes a task
+   * @param {string} id - Task id
+   * @returns {Promise<void>}
+   */
+  const removeTask = useCallback(async (id) => {
+    setTasks((prev) => prev.filter((t) => t._id !== id));
+
+    try {
+      await api.deleteTask(id);
+    } catch (err) {
+      refresh();
+      throw err;
+    }
+  }, [refresh]);
+
+  /**
+   * Moves a task into a board column at a given position
+   * @param {string} id - Task id
+   * @param {string} status - Target column status
+   * @param {number} index - Position among the other tasks with that status
+   * @param {string} column - Key of the target board column
+   * @returns {Promise<void>}
+   */
+  const moveTask = useCallback(async (id, status, index, column) => {
+    setTasks((prev) => {
+      const moved = prev.find((t) => t._id === id);
+      if (!moved) return prev;
+
+      const siblings = sortByRank(prev.filter((t) => t.status === status && t._id !== id));
+      siblings.splice(index, 0, { ...moved, status, column });
+      const ranks = new Map(siblings.map((t, i) => [t._id, i + 1]));
+
+      return prev.map((t) => {
+        if (t._id === id) return { ...t, status, column, rank: ranks.get(id) };
+        return ranks.has(t._id) ? { ...t, rank: ranks.get(t._id) } : t;
+      });
+    });
+
+    try {
+      const siblings = (await api.moveTask(id, status, index, column)).map(normalizeTask);
+      const saved = new Map(siblings.map((t) => [t._id, t]));
+      setTasks((prev) => prev.map((t) => saved.get(t._id) || t));
+    } catch (err) {
+      refresh();
+      throw err;
+    }
+  }, [refresh]);
+
+  const value = {
+    tasks,
+    loading,
+    error,
+    refresh,
+    addTask,
+    updateTask,
+    removeTask,
+    moveTask,
+  };
+
+  return (
+    <TasksContext.Provider value={value}>
+      {children}
+    </TasksContext.Provider>
+  );
+};
+
+export default TasksProvider;
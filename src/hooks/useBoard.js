@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from "react";
+import * as api from "../api";
+import { TASK_STATUSES } from "../utils/taskStatus";
+
+// Shown until the server answers, and if it can't be reached
+export const DEFAULT_COLUMNS = TASK_STATUSES.map(({ value, label }) => ({
+  key: value,
+  title: label,
+  status: value,
+  wipLimit: null,
+}));
+
+/**
+ * Loads and saves the current user's Kanban column configuration.
+ * @returns {Object} columns plus save/reset helpers
+ */
+export const useBoard = () => {
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .fetchBoard()
+      .then((data) => !cancelled && setColumns(data.columns))
+      .catch((err) => console.error("Failed to load board:", err))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const saveColumns = useCallback(async (nextColumns) => {
+    const data = await api.saveBoard(nextColumns);
+    setColumns(data.columns);
+    return data.columns;
+  }, []);
+
+  const resetColumns = useCallback(async () => {
+    const data = await api.resetBoard();
+    setColumns(data.columns);
+    return data.columns;
+  }, []);
+
+  return { columns, loading, saveColumns, resetColumns };
+};
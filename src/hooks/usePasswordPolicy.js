@@ -0,0 +1,30 @@
+import { useState, useEffect } from "react";
+import * as api from "../api";
+import { DEFAULT_PASSWORD_POLICY } from "../utils/passwordPolicy";
+
+// Fetched once per page load and shared by every form that asks
+let policyRequest = null;
+
+/**
+ * Loads the server's password policy.
+ * @returns {Object} The policy, or the defaults until (or if) the server answers
+ */
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(DEFAULT_PASSWORD_POLICY);
+
+  useEffect(() => {
+    let cancelled = false;
+    policyRequest = policyRequest || api.fetchPasswordPolicy();
+    policyRequest
+      .then((data) => !cancelled && setPolicy(data))
+      .catch((err) => {
+        console.error("Failed to load password policy:", err);
+        policyRequest = null;
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return policy;
+};
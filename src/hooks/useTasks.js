@@ -1,6 +1,7 @@
-import { useState } from "react";
-export const useTasks = () => {
-  const [tasks, setTasks] = useState([]);
-  const addTask = (task) => setTasks([...tasks, task]);
-  return { tasks, addTask };
-};
\ No newline at end of file
+import { createContext, useContext } from "react";
+
+// Provided by TasksProvider in contexts/TasksContext.jsx; kept here so that
+// module only exports components
+export const TasksContext = createContext();
+
+export const useTasks = () => useContext(TasksContext);
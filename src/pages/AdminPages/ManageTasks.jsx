@@ -1,29 +1,34 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import { errorMessage } from "../../api";
+import { useTasks } from "../../hooks/useTasks";
+import { DONE_STATUS, canTransition, getStatusLabel, isDone } from "../../utils/taskStatus";
+import { assigneesOf } from "../../utils/taskAssignment";
 
-const ManageTasks = () => {
-  const [tasks, setTasks] = useState([]);
+// Emails of everyone on the task, for the admin tables
+const assigneeEmails = (task) => assigneesOf(task).map((person) => person?.email).filter(Boolean).join(", ");
 
-  // Load tasks from localStorage (same as User Dashboard)
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
-  }, []);
+const ManageTasks = () => {
+  // Shared task state (same as User Dashboard)
+  const { tasks, updateTask, removeTask } = useTasks();
+  const [error, setError] = useState("");
 
   // ✅ Mark task as completed
   const completeTask = (id) => {
-    const updatedTasks = tasks.map((task) =>
-      task.id === id ? { ...task, status: "Completed", progress: 100 } : task
-    );
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+    setError("");
+    updateTask(id, { status: DONE_STATUS }).catch((err) => {
+      console.error("Error completing task:", err);
+      setError(errorMessage(err, "Failed to complete task"));
+    });
   };
 
   // ❌ Delete a task
   const deleteTask = (id) => {
-    const updatedTasks = tasks.filter((task) => task._id !== id);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+    setError("");
+    removeTask(id).catch((err) => {
+      console.error("Error deleting task:", err);
+      setError(errorMessage(err, "Failed to delete task"));
+    });
   };
 
   return (
@@ -35,6 +40,12 @@ const ManageTasks = () => {
       <div className="flex-1 p-6">
         <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Tasks</h1>
 
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-600 p-3 mb-4 rounded" role="alert">
+            {error}
+          </div>
+        )}
+
         {/* Pending Tasks */}
         <div className="bg-white p-4 shadow rounded-lg mb-4">
           <h2 className="text-lg font-semibold mb-2">Pending Tasks</h2>
@@ -42,28 +53,34 @@ const ManageTasks = () => {
             <thead>
               <tr className="bg-gray-200 text-left">
                 <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
+                <th className="p-2">Assigned To</th>
+                <th className="p-2">Created By</th>
                 <th className="p-2">Priority</th>
+                <th className="p-2">Status</th>
                 <th className="p-2">Deadline</th>
                 <th className="p-2">Actions</th>
               </tr>
             </thead>
             <tbody>
               {tasks
-                .filter((task) => task.progress < 100)
+                .filter((task) => !isDone(task))
                 .map((task) => (
                   <tr key={task._id} className="border-b">
                     <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">{assigneeEmails(task)}</td>
+                    <td className="p-2">{task.owner?.email}</td>
                     <td className="p-2">{task.priority}</td>
+                    <td className="p-2">{getStatusLabel(task.status)}</td>
                     <td className="p-2">{task.deadline}</td>
                     <td className="p-2">
-                      <button
-                        className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
-                        onClick={() => completeTask(task.id)}
-                      >
-                        ✅ Mark as Completed
-                      </button>
+                      {canTransition(task.status, DONE_STATUS) && (
+                        <button
+                          className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                          onClick={() => completeTask(task._id)}
+                        >
+                          ✅ Mark as Completed
+                        </button>
+                      )}
                       <button
                         className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
                         onClick={() => deleteTask(task._id)}
@@ -84,18 +101,20 @@ const ManageTasks = () => {
             <thead>
               <tr className="bg-gray-200 text-left">
                 <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
+                <th className="p-2">Assigned To</th>
+                <th className="p-2">Created By</th>
                 <th className="p-2">Priority</th>
                 <th className="p-2">Deadline</th>
               </tr>
             </thead>
             <tbody>
               {tasks
-                .filter((task) => task.progress === 100)
+                .filter(isDone)
                 .map((task) => (
                   <tr key={task._id} className="border-b">
                     <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
+                    <td className="p-2">{assigneeEmails(task)}</td>
+                    <td className="p-2">{task.owner?.email}</td>
                     <td className="p-2">{task.priority}</td>
                     <td className="p-2">{task.deadline}</td>
                   </tr>
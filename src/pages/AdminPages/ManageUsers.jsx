@@ -115,24 +115,80 @@
 // export default ManageUsers;
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import DeleteUserDialog from "../../components/admin/DeleteUserDialog";
+import UserStatusDialog from "../../components/admin/UserStatusDialog";
+import AddUserDialog from "../../components/admin/AddUserDialog";
+import ImportUsersDialog from "../../components/admin/ImportUsersDialog";
+import {
+  fetchUsers,
+  updateUser,
+  requestUserEmailChange,
+  unlockUser,
+  fetchInvitations,
+  resendInvitation,
+  sendUnsentInvitations,
+  revokeInvitation,
+  exportUsers,
+  errorMessage,
+} from "../../api";
+import { useAuth } from "../../contexts/AuthContext";
+import { ROLE_OPTIONS, getRoleLabel } from "../../utils/permissions";
+
+// Locked out by too many failed logins (see server/src/utils/lockout.js)
+const isLocked = (user) => Boolean(user.lockUntil) && new Date(user.lockUntil) > new Date();
+
+// Accounts from before the status field have none and are active
+const statusOf = (user) => user.status || "active";
+
+const isExpired = (invitation) => new Date(invitation.expiresAt) <= new Date();
+
+const STATUS_BADGES = {
+  active: { label: "Active", className: "bg-green-100 text-green-800" },
+  suspended: { label: "Suspended", className: "bg-orange-100 text-orange-800" },
+  deactivated: { label: "Deactivated", className: "bg-gray-200 text-gray-700" },
+};
 
 const ManageUsers = () => {
   const [users, setUsers] = useState([]);
   const [editingUser, setEditingUser] = useState(null);
   const [editedData, setEditedData] = useState({ fullName: "", email: "", role: "" });
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [deletingUser, setDeletingUser] = useState(null);
+  // { user, status } while the suspend/deactivate/reactivate dialog is open
+  const [statusChange, setStatusChange] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  const { user: currentUser, can } = useAuth();
+  const canCreate = can("users:create");
+  // Saved by an import without emailing
+  const unsentCount = invitations.filter((invitation) => !invitation.lastSentAt).length;
 
   useEffect(() => {
-    fetch("https://zidio-task-management-backend.onrender.com/admin/users")
-      .then((res) => res.json())
+    fetchUsers()
       .then((data) => {
         const sortedUsers = data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         setUsers(sortedUsers);
       })
-      .catch((err) => console.error("Error fetching users:", err));
+      .catch((err) => {
+        console.error("Error fetching users:", err);
+        setError(errorMessage(err, "Failed to load users"));
+      });
   }, []);
 
+  useEffect(() => {
+    if (!canCreate) return;
+    fetchInvitations()
+      .then(setInvitations)
+      .catch((err) => {
+        console.error("Error fetching invitations:", err);
+        setError(errorMessage(err, "Failed to load invitations"));
+      });
+  }, [canCreate]);
+
   const startEditing = (user) => {
-    setEditingUser(user.email);
+    setEditingUser(user._id);
     setEditedData({ fullName: user.fullName, email: user.email, role: user.role });
   };
 
@@ -140,42 +196,181 @@ const ManageUsers = () => {
     setEditedData({ ...editedData, [e.target.name]: e.target.value });
   };
 
-  const saveUser = async (email) => {
+  const saveUser = async (user) => {
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(editedData),
-      });
+      let updated = await updateUser(user._id, { fullName: editedData.fullName, role: editedData.role });
 
-      if (!res.ok) throw new Error("Failed to update user");
+      // A new email only takes over once the user confirms it from that inbox
+      const email = editedData.email.trim();
+      if (email !== user.email) {
+        const { message, pendingEmail } = await requestUserEmailChange(user._id, email);
+        updated = { ...updated, pendingEmail };
+        setNotice(message);
+      } else {
+        setNotice("");
+      }
 
-      setUsers(users.map((u) => (u.email === email ? { ...u, ...editedData } : u)));
+      setUsers(users.map((u) => (u._id === user._id ? { ...u, ...updated } : u)));
       setEditingUser(null);
+      setError("");
     } catch (error) {
       console.error("Error updating user:", error);
+      setError(errorMessage(error, "Failed to update user"));
     }
   };
 
-  const deleteUser = async (email) => {
+  const unlockAccount = async (id) => {
     try {
-      const res = await fetch(`https://zidio-task-management-backend.onrender.com/admin/users/${email}`, {
-        method: "DELETE",
+      await unlockUser(id);
+
+      setUsers(users.map((u) => (u._id === id ? { ...u, failedLoginAttempts: 0, lockUntil: null } : u)));
+      setError("");
+    } catch (error) {
+      console.error("Error unlocking user:", error);
+      setError(errorMessage(error, "Failed to unlock user"));
+    }
+  };
+
+  const handleCreated = (user) => {
+    setUsers([user, ...users]);
+    setNotice(`${user.fullName} was added.`);
+    setAdding(false);
+    setError("");
+  };
+
+  const handleInvited = ({ message, invitation }) => {
+    // The server sends the inviter as an id; it's whoever is signed in
+    setInvitations([{ ...invitation, invitedBy: currentUser }, ...invitations]);
+    setNotice(message);
+    setAdding(false);
+    setError("");
+  };
+
+  // Imported rows become invitations; reload them rather than piecing them together.
+  // The dialog stays open to show the per-row results.
+  const handleImported = ({ message }) => {
+    setNotice(message);
+    setError("");
+    fetchInvitations()
+      .then(setInvitations)
+      .catch((err) => {
+        console.error("Error fetching invitations:", err);
+        setError(errorMessage(err, "Failed to load invitations"));
       });
+  };
+
+  const downloadCsv = async () => {
+    try {
+      const csv = await exportUsers();
+
+      const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `users-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setError("");
+    } catch (error) {
+      console.error("Error exporting users:", error);
+      setError(errorMessage(error, "Failed to export users"));
+    }
+  };
+
+  const resend = async (id) => {
+    try {
+      const { message, invitation } = await resendInvitation(id);
+
+      setInvitations(invitations.map((i) => (i._id === id ? { ...i, ...invitation, invitedBy: i.invitedBy } : i)));
+      setNotice(message);
+      setError("");
+    } catch (error) {
+      console.error("Error resending invitation:", error);
+      setError(errorMessage(error, "Failed to resend invitation"));
+    }
+  };
+
+  const sendUnsent = async () => {
+    try {
+      const { message } = await sendUnsentInvitations();
+
+      setInvitations(await fetchInvitations());
+      setNotice(message);
+      setError("");
+    } catch (error) {
+      console.error("Error sending invitations:", error);
+      setError(errorMessage(error, "Failed to send invitations"));
+    }
+  };
 
-      if (!res.ok) throw new Error("Failed to delete user");
+  const revoke = async (id) => {
+    try {
+      await revokeInvitation(id);
 
-      setUsers(users.filter((u) => u.email !== email));
+      setInvitations(invitations.filter((i) => i._id !== id));
+      setError("");
     } catch (error) {
-      console.error("Error deleting user:", error);
+      console.error("Error revoking invitation:", error);
+      setError(errorMessage(error, "Failed to revoke invitation"));
     }
   };
 
+  // The dialog has already saved the change; this just updates the list
+  const handleStatusChanged = (result) => {
+    const { user } = statusChange;
+    setUsers(users.map((u) => (u._id === user._id ? { ...u, ...result } : u)));
+    setNotice(
+      `${user.fullName} is now ${STATUS_BADGES[result.status].label.toLowerCase()}.` +
+        (result.signedOut ? ` ${result.signedOut} session(s) were signed out.` : "")
+    );
+    setStatusChange(null);
+    setError("");
+  };
+
+  // The dialog has already purged the user; this just updates the list
+  const handleDeleted = (result) => {
+    setUsers(users.filter((u) => u._id !== deletingUser._id));
+    setNotice(
+      `${deletingUser.fullName} was purged. Tasks reassigned: ${result.reassigned}, archived: ${result.archived}, deleted: ${result.deleted}.`
+    );
+    setDeletingUser(null);
+    setError("");
+  };
+
   return (
     <div className="flex min-h-screen bg-gray-100">
       <Sidebar />
       <div className="flex-1 p-6">
-        <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Users</h1>
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-bold text-gray-800">Manage Users</h1>
+          <div className="flex gap-2">
+            <button className="bg-gray-200 px-4 py-2 rounded-lg hover:bg-gray-300" onClick={downloadCsv}>
+              Export CSV
+            </button>
+            {canCreate && (
+              <>
+                <button className="bg-gray-200 px-4 py-2 rounded-lg hover:bg-gray-300" onClick={() => setImporting(true)}>
+                  Import CSV
+                </button>
+                <button
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                  onClick={() => setAdding(true)}
+                >
+                  ➕ Add User
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-600 p-3 mb-4 rounded" role="alert">
+            {error}
+          </div>
+        )}
+        {notice && (
+          <div className="bg-green-50 border-l-4 border-green-500 text-green-700 p-3 mb-4 rounded" role="status">
+            {notice}
+          </div>
+        )}
 
         <div className="bg-white p-4 shadow rounded-lg">
           <table className="w-full border-collapse">
@@ -185,15 +380,16 @@ const ManageUsers = () => {
                 <th className="p-2">Name</th>
                 <th className="p-2">Email</th>
                 <th className="p-2">Role</th>
+                <th className="p-2">Status</th>
                 <th className="p-2">Actions</th>
               </tr>
             </thead>
             <tbody>
               {users.map((user, index) => (
-                <tr key={user.email} className="border-b">
+                <tr key={user._id} className="border-b">
                   <td className="p-2">{index + 1}</td>
                   <td className="p-2">
-                    {editingUser === user.email ? (
+                    {editingUser === user._id ? (
                       <input
                         type="text"
                         name="fullName"
@@ -205,44 +401,118 @@ const ManageUsers = () => {
                       user.fullName
                     )}
                   </td>
-                  <td className="p-2">{user.email}</td>
                   <td className="p-2">
-                    {editingUser === user.email ? (
+                    {editingUser === user._id ? (
+                      <input
+                        type="email"
+                        name="email"
+                        value={editedData.email}
+                        onChange={handleChange}
+                        className="border p-1 rounded"
+                      />
+                    ) : (
+                      user.email
+                    )}
+                    {user.pendingEmail && (
+                      <span
+                        className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800"
+                        title="Waiting for the new address to be confirmed"
+                      >
+                        Changing to {user.pendingEmail}
+                      </span>
+                    )}
+                    {isLocked(user) && (
+                      <span
+                        className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-orange-100 text-orange-800"
+                        title={`Locked until ${new Date(user.lockUntil).toLocaleString()}`}
+                      >
+                        Locked
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-2">
+                    {editingUser === user._id ? (
                       <select
                         name="role"
                         value={editedData.role}
                         onChange={handleChange}
                         className="border p-1 rounded"
                       >
-                        <option value="Admin">Admin</option>
-                        <option value="User">User</option>
+                        {ROLE_OPTIONS.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
                       </select>
                     ) : (
-                      user.role.charAt(0).toUpperCase() + user.role.slice(1)
+                      getRoleLabel(user.role)
                     )}
                   </td>
                   <td className="p-2">
-                    {editingUser === user.email ? (
+                    <span
+                      className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_BADGES[statusOf(user)].className}`}
+                      title={user.statusReason || undefined}
+                    >
+                      {STATUS_BADGES[statusOf(user)].label}
+                    </span>
+                  </td>
+                  <td className="p-2">
+                    {editingUser === user._id ? (
                       <button
                         className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
-                        onClick={() => saveUser(user.email)}
+                        onClick={() => saveUser(user)}
                       >
                         Save
                       </button>
                     ) : (
                       <>
-                        <button
-                          className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
-                          onClick={() => startEditing(user)}
-                        >
-                          Edit
-                        </button>
-                        <button
-                          className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
-                          onClick={() => deleteUser(user.email)}
-                        >
-                          Delete
-                        </button>
+                        {can("users:update") && (
+                          <button
+                            className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                            onClick={() => startEditing(user)}
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can("users:update") && isLocked(user) && (
+                          <button
+                            className="bg-orange-500 text-white px-3 py-1 rounded ml-2 hover:bg-orange-600"
+                            onClick={() => unlockAccount(user._id)}
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        {can("users:update") && user._id !== currentUser?.id && statusOf(user) === "active" && (
+                          <button
+                            className="bg-orange-500 text-white px-3 py-1 rounded ml-2 hover:bg-orange-600"
+                            onClick={() => setStatusChange({ user, status: "suspended" })}
+                          >
+                            Suspend
+                          </button>
+                        )}
+                        {can("users:update") && user._id !== currentUser?.id && statusOf(user) !== "active" && (
+                          <button
+                            className="bg-green-500 text-white px-3 py-1 rounded ml-2 hover:bg-green-600"
+                            onClick={() => setStatusChange({ user, status: "active" })}
+                          >
+                            Reactivate
+                          </button>
+                        )}
+                        {can("users:delete") && user._id !== currentUser?.id && statusOf(user) !== "deactivated" && (
+                          <button
+                            className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
+                            onClick={() => setStatusChange({ user, status: "deactivated" })}
+                          >
+                            Deactivate
+                          </button>
+                        )}
+                        {/* Purging is a separate step, only for accounts already deactivated */}
+                        {can("users:delete") && statusOf(user) === "deactivated" && (
+                          <button
+                            className="bg-red-700 text-white px-3 py-1 rounded ml-2 hover:bg-red-800"
+                            onClick={() => setDeletingUser(user)}
+                          >
+                            Purge
+                          </button>
+                        )}
                       </>
                     )}
                   </td>
@@ -253,6 +523,86 @@ const ManageUsers = () => {
 
           {users.length === 0 && <p className="text-gray-500 text-center mt-4">No users found.</p>}
         </div>
+
+        {canCreate && invitations.length > 0 && (
+          <div className="bg-white p-4 shadow rounded-lg mt-4">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-lg font-semibold">Pending Invitations</h2>
+              {unsentCount > 0 && (
+                <button className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600" onClick={sendUnsent}>
+                  Send unsent ({unsentCount})
+                </button>
+              )}
+            </div>
+            <table className="w-full border-collapse">
+              <thead>
+                <tr className="bg-gray-200 text-left">
+                  <th className="p-2">Email</th>
+                  <th className="p-2">Name</th>
+                  <th className="p-2">Role</th>
+                  <th className="p-2">Invited By</th>
+                  <th className="p-2">Expires</th>
+                  <th className="p-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invitations.map((invitation) => (
+                  <tr key={invitation._id} className="border-b">
+                    <td className="p-2">
+                      {invitation.email}
+                      {!invitation.lastSentAt && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                          Not sent
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-2">{invitation.fullName}</td>
+                    <td className="p-2">{getRoleLabel(invitation.role)}</td>
+                    <td className="p-2">{invitation.invitedBy?.fullName}</td>
+                    <td className="p-2">
+                      {isExpired(invitation) ? (
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">Expired</span>
+                      ) : (
+                        new Date(invitation.expiresAt).toLocaleString()
+                      )}
+                    </td>
+                    <td className="p-2">
+                      <button
+                        className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                        onClick={() => resend(invitation._id)}
+                      >
+                        {invitation.lastSentAt ? "Resend" : "Send"}
+                      </button>
+                      <button
+                        className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
+                        onClick={() => revoke(invitation._id)}
+                      >
+                        Revoke
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {adding && <AddUserDialog onCreated={handleCreated} onInvited={handleInvited} onClose={() => setAdding(false)} />}
+
+        {importing && <ImportUsersDialog onImported={handleImported} onClose={() => setImporting(false)} />}
+
+        {statusChange && (
+          <UserStatusDialog
+            user={statusChange.user}
+            status={statusChange.status}
+            onChanged={handleStatusChanged}
+            onClose={() => setStatusChange(null)}
+          />
+        )}
+
+        {deletingUser && (
+          <DeleteUserDialog user={deletingUser} onDeleted={handleDeleted} onClose={() => setDeletingUser(null)} />
+        )}
       </div>
     </div>
   );
@@ -1,7 +1,15 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import TwoFactorSettings from "../../components/auth/TwoFactorSettings";
+import ChangePasswordForm from "../../components/auth/ChangePasswordForm";
+import ChangeEmailForm from "../../components/auth/ChangeEmailForm";
+import { useAuth } from "../../contexts/AuthContext";
+import { getRoleLabel } from "../../utils/permissions";
+import { fetchSettings, updateSettings, errorMessage } from "../../api";
 
 const Settings = () => {
+  const { user } = useAuth();
+
   // Load stored admin profile data
   const [profile, setProfile] = useState(() => {
     const savedProfile = JSON.parse(localStorage.getItem("adminProfile"));
@@ -16,11 +24,29 @@ const Settings = () => {
   });
 
   const [imagePreview, setImagePreview] = useState(profile.profilePic);
-  const [password, setPassword] = useState("");
   const [activityLog, setActivityLog] = useState(() => {
     return JSON.parse(localStorage.getItem("adminActivityLog")) || [];
   });
 
+  // Server-side security settings
+  const [security, setSecurity] = useState(null);
+  const [securityError, setSecurityError] = useState("");
+
+  useEffect(() => {
+    fetchSettings()
+      .then(setSecurity)
+      .catch((err) => setSecurityError(errorMessage(err, "Failed to load security settings")));
+  }, []);
+
+  const toggleRequireTwoFactor = async () => {
+    try {
+      setSecurity(await updateSettings({ requireTwoFactorForAdmins: !security.requireTwoFactorForAdmins }));
+      setSecurityError("");
+    } catch (err) {
+      setSecurityError(errorMessage(err, "Failed to update security settings"));
+    }
+  };
+
   // Handle input change
   const handleProfileChange = (e) => {
     setProfile({ ...profile, [e.target.name]: e.target.value });
@@ -52,13 +78,6 @@ const Settings = () => {
     window.location.reload(); // Refresh to reflect changes in navbar
   };
 
-  // Change password (dummy for now)
-  const handleChangePassword = () => {
-    if (!password) return alert("Please enter a new password!");
-    alert("Password changed successfully! (This is a dummy feature for now)");
-    setPassword("");
-  };
-
   return (
     <div className="flex min-h-screen bg-gray-100">
       {/* Sidebar */}
@@ -118,15 +137,13 @@ const Settings = () => {
 
               <div>
                 <label className="block text-sm font-medium">Role</label>
-                <select
-                  name="role"
-                  value={profile.role}
-                  onChange={handleProfileChange}
-                  className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-                >
-                  <option value="Admin">Admin</option>
-                  <option value="Super Admin">Super Admin</option>
-                </select>
+                {/* Roles are granted by other admins; this only shows the one the server reports */}
+                <input
+                  type="text"
+                  value={getRoleLabel(user.role)}
+                  readOnly
+                  className="w-full px-4 py-2 border rounded-lg bg-gray-100 text-gray-600"
+                />
               </div>
             </div>
 
@@ -139,27 +156,41 @@ const Settings = () => {
             </button>
           </div>
 
+          {/* Change Email */}
+          <div className="bg-white p-6 shadow-lg rounded-lg">
+            <ChangeEmailForm />
+          </div>
+
           {/* Change Password */}
           <div className="bg-white p-6 shadow-lg rounded-lg">
-            <h2 className="text-lg font-semibold mb-4">Change Password</h2>
-
-            <div>
-              <label className="block text-sm font-medium">New Password</label>
-              <input
-                type="password"
-                name="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-              />
-            </div>
+            <ChangePasswordForm />
+          </div>
 
-            <button
-              onClick={handleChangePassword}
-              className="mt-4 w-full bg-red-500 text-white py-3 rounded-lg hover:bg-red-600 transition"
-            >
-              Change Password
-            </button>
+          {/* Two-Factor Authentication */}
+          <div className="bg-white p-6 shadow-lg rounded-lg">
+            <TwoFactorSettings />
+          </div>
+
+          {/* Security Policy */}
+          <div className="bg-white p-6 shadow-lg rounded-lg">
+            <h2 className="text-lg font-semibold mb-4">Security Policy</h2>
+            {securityError && <p className="text-red-500 text-sm mb-3">{securityError}</p>}
+            {security && (
+              <label className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={security.requireTwoFactorForAdmins}
+                  onChange={toggleRequireTwoFactor}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block font-medium">Require two-factor authentication for admins</span>
+                  <span className="block text-sm text-gray-500">
+                    Everyone with admin panel access must turn on 2FA before they can use it.
+                  </span>
+                </span>
+              </label>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from "react";
+import Sidebar from "../../components/admin/Sidebar";
+import { fetchSignups, approveSignup, rejectSignup, errorMessage } from "../../api";
+import { getRoleLabel } from "../../utils/permissions";
+
+const STATUS_TABS = [
+  { value: "pending", label: "Pending" },
+  { value: "approved", label: "Approved" },
+  { value: "rejected", label: "Rejected" },
+];
+
+const SignupRequests = () => {
+  const [status, setStatus] = useState("pending");
+  const [signups, setSignups] = useState([]);
+  const [rejecting, setRejecting] = useState(null);
+  const [note, setNote] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    fetchSignups(status)
+      .then(setSignups)
+      .catch((err) => {
+        console.error("Error fetching signup requests:", err);
+        setError(errorMessage(err, "Failed to load signup requests"));
+      });
+  }, [status]);
+
+  // Takes the request off the pending list and reports whether the applicant was emailed
+  const review = async (id, action, label) => {
+    try {
+      const { user, emailSent } = await action();
+
+      setSignups(signups.filter((s) => s._id !== id));
+      setRejecting(null);
+      setNote("");
+      setError("");
+      setNotice(`${user.fullName} ${label}.${emailSent ? "" : " The notification email could not be sent."}`);
+    } catch (err) {
+      console.error("Error reviewing signup:", err);
+      setError(errorMessage(err, "Failed to review signup request"));
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+      <div className="flex-1 p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">Signup Requests</h1>
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 text-red-600 p-3 mb-4 rounded" role="alert">
+            {error}
+          </div>
+        )}
+        {notice && (
+          <div className="bg-green-50 border-l-4 border-green-500 text-green-700 p-3 mb-4 rounded" role="status">
+            {notice}
+          </div>
+        )}
+
+        <div className="flex gap-2 mb-4">
+          {STATUS_TABS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => {
+                setStatus(value);
+                setNotice("");
+              }}
+              className={`px-4 py-2 rounded-lg ${
+                status === value ? "bg-blue-600 text-white" : "bg-white text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="bg-white p-4 shadow rounded-lg">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="bg-gray-200 text-left">
+                <th className="p-2">Name</th>
+                <th className="p-2">Email</th>
+                <th className="p-2">Requested Role</th>
+                <th className="p-2">Signed Up</th>
+                <th className="p-2">{status === "pending" ? "Actions" : "Reviewed"}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {signups.map((signup) => (
+                <tr key={signup._id} className="border-b align-top">
+                  <td className="p-2">{signup.fullName}</td>
+                  <td className="p-2">{signup.email}</td>
+                  <td className="p-2">{getRoleLabel(signup.requestedRole || signup.role)}</td>
+                  <td className="p-2">{new Date(signup.createdAt).toLocaleString()}</td>
+                  <td className="p-2">
+                    {status !== "pending" ? (
+                      <div className="text-sm text-gray-600">
+                        {signup.reviewedBy?.fullName || "Unknown"} · {new Date(signup.reviewedAt).toLocaleString()}
+                        {signup.reviewNote && <p className="italic">“{signup.reviewNote}”</p>}
+                      </div>
+                    ) : rejecting === signup._id ? (
+                      <div className="flex flex-wrap gap-2">
+                        <input
+                          type="text"
+                          value={note}
+                          onChange={(e) => setNote(e.target.value)}
+                          className="border p-1 rounded flex-1 min-w-[160px]"
+                          placeholder="Reason (optional, sent to the applicant)"
+                          maxLength={300}
+                          aria-label="Rejection reason"
+                        />
+                        <button
+                          className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                          onClick={() => review(signup._id, () => rejectSignup(signup._id, note), "was rejected")}
+                        >
+                          Confirm
+                        </button>
+                        <button
+                          className="bg-gray-200 px-3 py-1 rounded hover:bg-gray-300"
+                          onClick={() => setRejecting(null)}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <>
+                        <button
+                          className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                          onClick={() => review(signup._id, () => approveSignup(signup._id), "was approved")}
+                        >
+                          Approve
+                        </button>
+                        <button
+                          className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
+                          onClick={() => {
+                            setRejecting(signup._id);
+                            setNote("");
+                          }}
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {signups.length === 0 && <p className="text-gray-500 text-center mt-4">No {status} signup requests.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignupRequests;
@@ -1,208 +1,157 @@
 /**
  * UserLogPage Component
- * 
- * An administrative component that displays user activity logs with comprehensive
- * information and management capabilities. Implements localStorage-based log storage
- * and retrieval with delete functionality for administrators.
- * 
+ *
+ * An administrative component that displays user authentication logs with comprehensive
+ * information and management capabilities. Entries are recorded by the server on
+ * login, logout, failed login, token expiry and refresh, and read through the admin API.
+ *
  * Features:
- * - Displays user logs with login time, logout time, JWT token, username, role, IP address
- * - Provides delete functionality for individual log entries
- * - Implements sorting and filtering capabilities
- * - Includes responsive design for all screen sizes
+ * - Displays event, time, user, role, token id, IP address and user agent
+ * - Server-side filtering by event, role, date range and free-text search
+ * - Server-side sorting and pagination
+ * - Delete individual entries or everything older than a date
+ * - Kill active sessions so their tokens stop working immediately
  * - Supports accessibility with proper ARIA attributes
- * 
+ *
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
-import React, { useState, useEffect } from 'react';
-import { FaTrash, FaSpinner, FaExclamationTriangle, FaUserShield, FaSort, FaFilter } from 'react-icons/fa';
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaTrash, FaSpinner, FaExclamationTriangle, FaUserShield, FaSort, FaBan } from 'react-icons/fa';
+import { fetchAuthLogs, deleteAuthLog, deleteAuthLogs, revokeSession, revokeUserSessions, errorMessage } from '../../api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const PAGE_SIZE = 20;
+
+const EVENT_LABELS = {
+  login: 'Login',
+  logout: 'Logout',
+  login_failed: 'Failed login',
+  token_expired: 'Token expired',
+  token_refreshed: 'Token refreshed',
+  refresh_reused: 'Refresh reuse',
+  account_locked: 'Account locked',
+  account_unlocked: 'Account unlocked',
+  password_changed: 'Password changed',
+  email_changed: 'Email changed'
+};
+
+const EVENT_STYLES = {
+  login: 'bg-green-100 text-green-800',
+  logout: 'bg-gray-100 text-gray-800',
+  login_failed: 'bg-red-100 text-red-800',
+  token_expired: 'bg-yellow-100 text-yellow-800',
+  token_refreshed: 'bg-teal-100 text-teal-800',
+  refresh_reused: 'bg-red-200 text-red-900',
+  account_locked: 'bg-orange-100 text-orange-800',
+  account_unlocked: 'bg-blue-100 text-blue-800',
+  password_changed: 'bg-purple-100 text-purple-800',
+  email_changed: 'bg-purple-100 text-purple-800'
+};
 
 const UserLogPage = () => {
+  const { can } = useAuth();
   // State management with proper initialization
   const [logs, setLogs] = useState([]);
-  const [filteredLogs, setFilteredLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(true);
+  const [loaded, setLoaded] = useState(false);
   const [error, setError] = useState(null);
   const [sortConfig, setSortConfig] = useState({
-    key: 'loginTime',
+    key: 'createdAt',
     direction: 'desc'
   });
   const [filters, setFilters] = useState({
+    event: '',
     role: 'all',
-    search: ''
+    search: '',
+    from: '',
+    to: ''
   });
+  const [search, setSearch] = useState('');
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [purgeBefore, setPurgeBefore] = useState('');
+
+  // Wait for typing to pause before hitting the server
+  useEffect(() => {
+    if (search === filters.search) return undefined;
+
+    const timer = setTimeout(() => {
+      setFilters(prev => ({ ...prev, search }));
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search, filters.search]);
 
   /**
-   * Load user logs from localStorage
+   * Load the current page of logs from the server
    */
-  useEffect(() => {
-    const loadLogs = async () => {
-      try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        // Get logs from localStorage or initialize with mock data
-        const storedLogs = localStorage.getItem('userLogs');
-        
-        if (storedLogs) {
-          const parsedLogs = JSON.parse(storedLogs);
-          setLogs(parsedLogs);
-          setFilteredLogs(parsedLogs);
-        } else {
-          // Initialize with mock data if no logs exist
-          const mockLogs = [
-            {
-              id: '1',
-              userId: 'admin-123',
-              username: 'admin@example.com',
-              role: 'admin',
-              action: 'login',
-              loginTime: new Date(Date.now() - 3600000).toISOString(),
-              logoutTime: null,
-              ipAddress: '192.168.1.1',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '2',
-              userId: 'user-456',
-              username: 'user@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 7200000).toISOString(),
-              logoutTime: new Date(Date.now() - 3600000).toISOString(),
-              ipAddress: '192.168.1.2',
-              tokenName: 'eyJhbGciOi...'
-            },
-            {
-              id: '3',
-              userId: 'user-789',
-              username: 'test@example.com',
-              role: 'user',
-              action: 'login',
-              loginTime: new Date(Date.now() - 86400000).toISOString(),
-              logoutTime: new Date(Date.now() - 82800000).toISOString(),
-              ipAddress: '192.168.1.3',
-              tokenName: 'eyJhbGciOi...'
-            }
-          ];
-          
-          // Store mock logs in localStorage
-          localStorage.setItem('userLogs', JSON.stringify(mockLogs));
-          
-          setLogs(mockLogs);
-          setFilteredLogs(mockLogs);
-        }
-        
-        setError(null);
-      } catch (err) {
-        console.error('Error loading user logs:', err);
-        setError('Failed to load user logs. Please try again later.');
-      } finally {
-        setLoading(false);
-      }
-    };
+  const loadLogs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await fetchAuthLogs({
+        ...filters,
+        // Date inputs give local days; include the whole "to" day
+        to: filters.to ? `${filters.to}T23:59:59.999` : '',
+        page,
+        limit: PAGE_SIZE,
+        sort: sortConfig.key,
+        order: sortConfig.direction
+      });
+      setLogs(data.logs);
+      setTotal(data.total);
+      setPages(data.pages);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading user logs:', err);
+      setError(errorMessage(err, 'Failed to load user logs. Please try again later.'));
+    } finally {
+      setLoading(false);
+      setLoaded(true);
+    }
+  }, [filters, page, sortConfig]);
 
+  useEffect(() => {
     loadLogs();
-  }, []);
+  }, [loadLogs]);
 
   /**
-   * Apply sorting to logs
-   * 
+   * Toggle sorting on a column
+   *
    * @param {string} key - The property to sort by
    */
   const handleSort = (key) => {
-    let direction = 'asc';
-    
-    if (sortConfig.key === key && sortConfig.direction === 'asc') {
-      direction = 'desc';
-    }
-    
+    const direction = sortConfig.key === key && sortConfig.direction === 'desc' ? 'asc' : 'desc';
     setSortConfig({ key, direction });
-    
-    const sortedLogs = [...filteredLogs].sort((a, b) => {
-      if (a[key] === null) return 1;
-      if (b[key] === null) return -1;
-      
-      if (a[key] < b[key]) {
-        return direction === 'asc' ? -1 : 1;
-      }
-      if (a[key] > b[key]) {
-        return direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-    
-    setFilteredLogs(sortedLogs);
-  };
-
-  /**
-   * Apply filters to logs
-   * 
-   * @param {Object} newFilters - Updated filter settings
-   */
-  const applyFilters = (newFilters) => {
-    let result = [...logs];
-    
-    // Apply role filter
-    if (newFilters.role !== 'all') {
-      result = result.filter(log => log.role === newFilters.role);
-    }
-    
-    // Apply search filter
-    if (newFilters.search.trim()) {
-      const searchTerm = newFilters.search.toLowerCase().trim();
-      result = result.filter(log => 
-        log.username.toLowerCase().includes(searchTerm) || 
-        log.userId.toLowerCase().includes(searchTerm) ||
-        (log.ipAddress && log.ipAddress.includes(searchTerm))
-      );
-    }
-    
-    // Apply current sort
-    result.sort((a, b) => {
-      if (a[sortConfig.key] === null) return 1;
-      if (b[sortConfig.key] === null) return -1;
-      
-      if (a[sortConfig.key] < b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? -1 : 1;
-      }
-      if (a[sortConfig.key] > b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-    
-    setFilteredLogs(result);
+    setPage(1);
   };
 
   /**
    * Handle filter changes
-   * 
+   *
    * @param {string} filterType - Type of filter to change
    * @param {string} value - New filter value
    */
   const handleFilterChange = (filterType, value) => {
-    const newFilters = {
-      ...filters,
+    setFilters(prev => ({
+      ...prev,
       [filterType]: value
-    };
-    
-    setFilters(newFilters);
-    applyFilters(newFilters);
+    }));
+    setPage(1);
   };
 
   /**
    * Format date for display
-   * 
+   *
    * @param {string} dateString - ISO date string
    * @returns {string} Formatted date string
    */
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
-    
+
     try {
       return new Date(dateString).toLocaleString();
     } catch (err) {
@@ -213,28 +162,66 @@ const UserLogPage = () => {
 
   /**
    * Delete a log entry
-   * 
+   *
    * @param {string} logId - ID of the log to delete
    */
-  const handleDelete = (logId) => {
+  const handleDelete = async (logId) => {
     // If not confirming, show confirmation first
     if (deleteConfirm !== logId) {
       setDeleteConfirm(logId);
       return;
     }
-    
-    // User confirmed deletion
-    const updatedLogs = logs.filter(log => log.id !== logId);
-    
-    // Update state
-    setLogs(updatedLogs);
-    setFilteredLogs(filteredLogs.filter(log => log.id !== logId));
-    
-    // Update localStorage
-    localStorage.setItem('userLogs', JSON.stringify(updatedLogs));
-    
-    // Reset confirmation state
+
     setDeleteConfirm(null);
+    try {
+      await deleteAuthLog(logId);
+      loadLogs();
+    } catch (err) {
+      console.error('Error deleting log:', err);
+      setError(errorMessage(err, 'Failed to delete log entry.'));
+    }
+  };
+
+  /**
+   * Delete every entry recorded before the chosen date
+   */
+  const handlePurge = async () => {
+    if (!purgeBefore) return;
+    if (!window.confirm(`Delete all log entries before ${new Date(purgeBefore).toLocaleDateString()}?`)) return;
+
+    try {
+      await deleteAuthLogs({ to: purgeBefore });
+      setPurgeBefore('');
+      setPage(1);
+      loadLogs();
+    } catch (err) {
+      console.error('Error deleting logs:', err);
+      setError(errorMessage(err, 'Failed to delete log entries.'));
+    }
+  };
+
+  /**
+   * End a single session, or every live session of that user
+   *
+   * @param {Object} log - Login entry of the session
+   * @param {boolean} allSessions - Revoke all of the user's sessions
+   */
+  const handleRevoke = async (log, allSessions = false) => {
+    const who = log.email || 'this user';
+    const question = allSessions ? `End every active session of ${who}?` : `End this session of ${who}?`;
+    if (!window.confirm(question)) return;
+
+    try {
+      if (allSessions) {
+        await revokeUserSessions(log.user._id);
+      } else {
+        await revokeSession(log.tokenId);
+      }
+      loadLogs();
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(errorMessage(err, 'Failed to revoke session.'));
+    }
   };
 
   /**
@@ -244,8 +231,23 @@ const UserLogPage = () => {
     setDeleteConfirm(null);
   };
 
-  // Loading state
-  if (loading) {
+  // Sortable table header
+  const SortHeader = ({ field, children }) => (
+    <th
+      scope="col"
+      className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
+      onClick={() => handleSort(field)}
+      aria-sort={sortConfig.key === field ? (sortConfig.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <div className="flex items-center">
+        {children}
+        <FaSort className="ml-1" aria-hidden="true" />
+      </div>
+    </th>
+  );
+
+  // Loading state, only before the first response so the filters stay mounted
+  if (!loaded) {
     return (
       <div className="p-6 flex justify-center items-center" aria-live="polite" role="status">
         <FaSpinner className="animate-spin text-blue-500 text-2xl" aria-hidden="true" />
@@ -254,24 +256,22 @@ const UserLogPage = () => {
     );
   }
 
-  // Error state
-  if (error) {
-    return (
-      <div className="p-6 text-red-500 flex items-center" aria-live="assertive" role="alert">
-        <FaExclamationTriangle className="mr-2" aria-hidden="true" />
-        <span>{error}</span>
-      </div>
-    );
-  }
-
   return (
     <div className="bg-white p-6 rounded-lg shadow">
       <h2 className="text-2xl font-bold mb-6 text-gray-800 flex items-center">
         <FaUserShield className="mr-2" aria-hidden="true" />
         User Activity Logs
       </h2>
-      
-      <div className="mb-6 space-y-4 md:space-y-0 md:flex md:space-x-4">
+
+      {/* Error state */}
+      {error && (
+        <div className="mb-4 text-red-500 flex items-center" aria-live="assertive" role="alert">
+          <FaExclamationTriangle className="mr-2" aria-hidden="true" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="mb-6 space-y-4 md:space-y-0 md:flex md:flex-wrap md:gap-4">
         {/* Search input */}
         <div className="md:flex-1">
           <label htmlFor="log-search" className="block text-sm font-medium text-gray-700 mb-1">
@@ -281,15 +281,34 @@ const UserLogPage = () => {
             id="log-search"
             type="text"
             className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-            placeholder="Search by username, user ID, or IP"
-            value={filters.search}
-            onChange={(e) => handleFilterChange('search', e.target.value)}
+            placeholder="Search by email, IP, or token id"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
             aria-label="Search logs"
           />
         </div>
-        
+
+        {/* Event filter */}
+        <div className="md:w-44">
+          <label htmlFor="event-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            Filter by Event
+          </label>
+          <select
+            id="event-filter"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.event}
+            onChange={(e) => handleFilterChange('event', e.target.value)}
+            aria-label="Filter logs by event"
+          >
+            <option value="">All Events</option>
+            {Object.entries(EVENT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Role filter */}
-        <div className="md:w-48">
+        <div className="md:w-36">
           <label htmlFor="role-filter" className="block text-sm font-medium text-gray-700 mb-1">
             Filter by Role
           </label>
@@ -305,72 +324,85 @@ const UserLogPage = () => {
             <option value="user">User</option>
           </select>
         </div>
+
+        {/* Date range */}
+        <div className="md:w-40">
+          <label htmlFor="from-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            From
+          </label>
+          <input
+            id="from-filter"
+            type="date"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.from}
+            onChange={(e) => handleFilterChange('from', e.target.value)}
+          />
+        </div>
+        <div className="md:w-40">
+          <label htmlFor="to-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            To
+          </label>
+          <input
+            id="to-filter"
+            type="date"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.to}
+            onChange={(e) => handleFilterChange('to', e.target.value)}
+          />
+        </div>
       </div>
-      
-      {/* Results count */}
-      <div className="mb-4 text-sm text-gray-500">
-        Showing {filteredLogs.length} of {logs.length} logs
+
+      {/* Results count and bulk delete */}
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-500">
+        <span>
+          Showing {logs.length} of {total} logs
+          {loading && <FaSpinner className="inline ml-2 animate-spin text-blue-500" aria-label="Refreshing" />}
+        </span>
+        {can('logs:delete') && (
+          <div className="flex items-center gap-2">
+            <label htmlFor="purge-before">Delete entries before</label>
+            <input
+              id="purge-before"
+              type="date"
+              className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+              value={purgeBefore}
+              onChange={(e) => setPurgeBefore(e.target.value)}
+            />
+            <button
+              onClick={handlePurge}
+              disabled={!purgeBefore}
+              className="px-3 py-1 text-red-600 hover:text-red-900 disabled:opacity-40"
+            >
+              Delete
+            </button>
+          </div>
+        )}
       </div>
-      
+
       {/* Log table */}
       <div className="overflow-x-auto">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
             <tr>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('username')}
-              >
-                <div className="flex items-center">
-                  Username
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('role')}
-              >
-                <div className="flex items-center">
-                  Role
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('loginTime')}
-              >
-                <div className="flex items-center">
-                  Login Time
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
-                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                onClick={() => handleSort('logoutTime')}
-              >
-                <div className="flex items-center">
-                  Logout Time
-                  <FaSort className="ml-1" aria-hidden="true" />
-                </div>
-              </th>
-              <th 
-                scope="col" 
+              <SortHeader field="createdAt">Time</SortHeader>
+              <SortHeader field="event">Event</SortHeader>
+              <SortHeader field="email">User</SortHeader>
+              <SortHeader field="role">Role</SortHeader>
+              <th
+                scope="col"
                 className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
               >
                 Token
               </th>
-              <th 
-                scope="col" 
+              <SortHeader field="ipAddress">IP Address</SortHeader>
+              <th
+                scope="col"
                 className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
               >
-                IP Address
+                User Agent
               </th>
-              <th 
-                scope="col" 
+              <th
+                scope="col"
                 className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider"
               >
                 Actions
@@ -378,47 +410,64 @@ const UserLogPage = () => {
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {filteredLogs.length === 0 ? (
+            {logs.length === 0 ? (
               <tr>
-                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
                   No logs match your filters
                 </td>
               </tr>
             ) : (
-              filteredLogs.map((log) => (
-                <tr key={log.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900">{log.username}</div>
-                    <div className="text-xs text-gray-500">{log.userId}</div>
+              logs.map((log) => (
+                <tr key={log._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatDate(log.createdAt)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                      log.role === 'admin' 
-                        ? 'bg-purple-100 text-purple-800' 
-                        : 'bg-blue-100 text-blue-800'
-                    }`}>
-                      {log.role}
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${EVENT_STYLES[log.event] || 'bg-gray-100 text-gray-800'}`}>
+                      {EVENT_LABELS[log.event] || log.event}
                     </span>
+                    {log.active && (
+                      <span className="ml-1 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
+                        Active
+                      </span>
+                    )}
+                    {log.reason && <div className="text-xs text-gray-500 mt-1">{log.reason.replace(/_/g, ' ')}</div>}
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(log.loginTime)}
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{log.user?.fullName || log.email || 'Unknown'}</div>
+                    <div className="text-xs text-gray-500">{log.email}</div>
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatDate(log.logoutTime)}
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {log.role ? (
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                        log.role === 'admin'
+                          ? 'bg-purple-100 text-purple-800'
+                          : 'bg-blue-100 text-blue-800'
+                      }`}>
+                        {log.role}
+                      </span>
+                    ) : (
+                      <span className="text-sm text-gray-400">N/A</span>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    <span className="font-mono">{log.tokenName}</span>
+                    <span className="font-mono" title={log.tokenId || ''}>
+                      {log.tokenId ? `${log.tokenId.slice(0, 8)}…` : 'N/A'}
+                    </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {log.ipAddress}
+                    {log.ipAddress || 'N/A'}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500 max-w-xs truncate" title={log.userAgent || ''}>
+                    {log.userAgent || 'N/A'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    {deleteConfirm === log.id ? (
+                    {deleteConfirm === log._id ? (
                       <div className="flex justify-end space-x-2">
                         <button
-                          onClick={() => handleDelete(log.id)}
+                          onClick={() => handleDelete(log._id)}
                           className="text-red-600 hover:text-red-900"
-                          aria-label={`Confirm delete log for ${log.username}`}
+                          aria-label={`Confirm delete log for ${log.email || 'unknown user'}`}
                         >
                           Confirm
                         </button>
@@ -431,13 +480,38 @@ const UserLogPage = () => {
                         </button>
                       </div>
                     ) : (
-                      <button
-                        onClick={() => handleDelete(log.id)}
-                        className="text-red-600 hover:text-red-900"
-                        aria-label={`Delete log for ${log.username}`}
-                      >
-                        <FaTrash aria-hidden="true" />
-                      </button>
+                      <div className="flex justify-end items-center space-x-3">
+                        {log.active && can('sessions:revoke') && (
+                          <>
+                            <button
+                              onClick={() => handleRevoke(log)}
+                              className="text-orange-600 hover:text-orange-900"
+                              title="Kill session"
+                              aria-label={`Kill session for ${log.email || 'unknown user'}`}
+                            >
+                              <FaBan aria-hidden="true" />
+                            </button>
+                            {log.user && (
+                              <button
+                                onClick={() => handleRevoke(log, true)}
+                                className="text-xs text-orange-600 hover:text-orange-900"
+                                title="Kill all sessions of this user"
+                              >
+                                All
+                              </button>
+                            )}
+                          </>
+                        )}
+                        {can('logs:delete') && (
+                          <button
+                            onClick={() => handleDelete(log._id)}
+                            className="text-red-600 hover:text-red-900"
+                            aria-label={`Delete log for ${log.email || 'unknown user'}`}
+                          >
+                            <FaTrash aria-hidden="true" />
+                          </button>
+                        )}
+                      </div>
                     )}
                   </td>
                 </tr>
@@ -446,8 +520,27 @@ const UserLogPage = () => {
           </tbody>
         </table>
       </div>
+
+      {/* Pagination */}
+      <div className="mt-4 flex items-center justify-between text-sm">
+        <button
+          onClick={() => setPage(page - 1)}
+          disabled={page <= 1 || loading}
+          className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <span className="text-gray-600">Page {page} of {pages}</span>
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={page >= pages || loading}
+          className="px-3 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
     </div>
   );
 };
 
-export default UserLogPage;
\ No newline at end of file
+export default UserLogPage;
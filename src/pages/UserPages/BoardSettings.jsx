@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { FaArrowUp, FaArrowDown, FaTrash, FaPlus } from "react-icons/fa";
+import { TASK_STATUSES, DEFAULT_STATUS } from "../../utils/taskStatus";
+
+const MAX_COLUMNS = 10;
+
+const BoardSettings = ({ columns, onSave, onReset, onClose }) => {
+  const [draft, setDraft] = useState(() => columns.map((column) => ({ ...column, wipLimit: column.wipLimit || "" })));
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const updateColumn = (index, field, value) => {
+    setDraft(draft.map((column, i) => (i === index ? { ...column, [field]: value } : column)));
+  };
+
+  const moveColumn = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.length) return;
+    const next = [...draft];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDraft(next);
+  };
+
+  const removeColumn = (index) => {
+    setDraft(draft.filter((_, i) => i !== index));
+  };
+
+  const addColumn = () => {
+    setDraft([...draft, { key: `column-${Date.now()}`, title: "New Column", status: DEFAULT_STATUS, wipLimit: "" }]);
+  };
+
+  const runAction = async (action) => {
+    setError("");
+    setSaving(true);
+    try {
+      await action();
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to save board");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (draft.some((column) => !column.title.trim())) {
+      setError("Every column needs a title");
+      return;
+    }
+    runAction(() => onSave(draft.map((column) => ({ ...column, wipLimit: column.wipLimit === "" ? null : Number(column.wipLimit) }))));
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-lg border border-gray-200 mb-6">
+      <h3 className="text-xl font-semibold text-gray-800 mb-1">⚙️ Board Columns</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        Each column shows tasks with one workflow status ({TASK_STATUSES.map(({ label }) => label).join(", ")}).
+        Several columns can share a status, e.g. a QA column next to Review: tasks show in the first column for their
+        status until you drag them into another.
+      </p>
+      {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+
+      <div className="space-y-2">
+        {draft.map((column, index) => (
+          <div key={column.key} className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={column.title}
+              onChange={(e) => updateColumn(index, "title", e.target.value)}
+              className="flex-1 min-w-[140px] p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+              placeholder="Column title"
+              maxLength={40}
+              aria-label="Column title"
+            />
+            <select
+              value={column.status}
+              onChange={(e) => updateColumn(index, "status", e.target.value)}
+              className="p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+              aria-label="Column status"
+            >
+              {TASK_STATUSES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              value={column.wipLimit}
+              onChange={(e) => updateColumn(index, "wipLimit", e.target.value)}
+              className="w-24 p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+              placeholder="WIP limit"
+              aria-label="WIP limit"
+            />
+            <button onClick={() => moveColumn(index, -1)} className="p-2 text-gray-600 hover:text-blue-600" aria-label="Move column up">
+              <FaArrowUp aria-hidden="true" />
+            </button>
+            <button onClick={() => moveColumn(index, 1)} className="p-2 text-gray-600 hover:text-blue-600" aria-label="Move column down">
+              <FaArrowDown aria-hidden="true" />
+            </button>
+            <button
+              onClick={() => removeColumn(index)}
+              disabled={draft.length === 1}
+              className="p-2 text-red-500 hover:text-red-700 disabled:opacity-40"
+              aria-label="Remove column"
+            >
+              <FaTrash aria-hidden="true" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-4">
+        <button
+          onClick={addColumn}
+          disabled={draft.length >= MAX_COLUMNS}
+          className="flex items-center px-3 py-2 bg-gray-200 rounded-lg hover:bg-gray-300 disabled:opacity-40"
+        >
+          <FaPlus className="mr-1" aria-hidden="true" /> Add Column
+        </button>
+        <div className="flex-1" />
+        <button onClick={onClose} className="px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300">
+          Cancel
+        </button>
+        <button
+          onClick={() => runAction(onReset)}
+          disabled={saving}
+          className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 disabled:opacity-40"
+        >
+          Reset to Default
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-40"
+        >
+          {saving ? "Saving..." : "Save Board"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BoardSettings;
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useMemo } from "react";
 import { Calendar, dateFnsLocalizer } from "react-big-calendar";
 import format from "date-fns/format";
 import parse from "date-fns/parse";
@@ -7,6 +7,7 @@ import getDay from "date-fns/getDay";
 import enUS from "date-fns/locale/en-US";
 import "react-big-calendar/lib/css/react-big-calendar.css";
 import UserSidebar from "./UserSidebar";
+import { useTasks } from "../../hooks/useTasks";
 
 const locales = { "en-US": enUS };
 
@@ -19,28 +20,29 @@ const localizer = dateFnsLocalizer({
 });
 
 const CalendarPage = () => {
-  const [events, setEvents] = useState([]);
+  const { tasks } = useTasks();
+  const [customEvents, setCustomEvents] = useState([]);
   const [currentDate, setCurrentDate] = useState(new Date());
 
-  // Fetch tasks from localStorage
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    
-    const taskEvents = storedTasks.map((task) => ({
-      title: task.title,
-      start: new Date(task.deadline), 
-      end: new Date(task.deadline), 
-      type: "deadline",
-    }));
+  // Task deadlines plus any events added on the calendar itself
+  const events = useMemo(() => {
+    const taskEvents = tasks
+      .filter((task) => task.deadline)
+      .map((task) => ({
+        title: task.title,
+        start: new Date(task.deadline), 
+        end: new Date(task.deadline), 
+        type: "deadline",
+      }));
 
-    setEvents(taskEvents);
-  }, []);
+    return [...taskEvents, ...customEvents];
+  }, [tasks, customEvents]);
 
   const handleSelectSlot = ({ start, end }) => {
     const title = prompt("Enter event title:");
     if (title) {
       const isDeadline = window.confirm("Is this a deadline? Click OK for Yes, Cancel for No.");
-      setEvents([...events, { title, start, end, type: isDeadline ? "deadline" : "event" }]);
+      setCustomEvents([...customEvents, { title, start, end, type: isDeadline ? "deadline" : "event" }]);
     }
   };
 
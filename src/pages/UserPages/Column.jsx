@@ -1,11 +1,34 @@
 import React from "react";
+import { useDroppable } from "@dnd-kit/core";
+
+const Column = ({ id, column, count, children }) => {
+  // Lets cards be dropped on the column itself, including when it is empty
+  const { setNodeRef, isOver } = useDroppable({ id });
+  const overLimit = column.wipLimit > 0 && count > column.wipLimit;
 
-const Column = ({ title, children }) => {
   return (
     <div
-      className="bg-gray-200 p-4 rounded-lg min-h-[500px] flex flex-col transition-all duration-200 hover:bg-gray-300 hover:shadow-lg"
+      ref={setNodeRef}
+      className={`p-4 rounded-lg min-h-[500px] flex flex-col transition-all duration-200 hover:shadow-lg ${
+        overLimit ? "bg-red-100 border-2 border-red-400 hover:bg-red-200" : "bg-gray-200 hover:bg-gray-300"
+      } ${isOver ? "ring-2 ring-blue-400" : ""}`}
     >
-      <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-800">{column.title}</h2>
+        <span
+          className={`text-xs font-semibold px-2 py-1 rounded-full ${
+            overLimit ? "bg-red-500 text-white" : "bg-white text-gray-600"
+          }`}
+          title={column.wipLimit ? `WIP limit: ${column.wipLimit}` : "No WIP limit"}
+        >
+          {column.wipLimit ? `${count} / ${column.wipLimit}` : count}
+        </span>
+      </div>
+      {overLimit && (
+        <p className="text-xs text-red-600 font-medium mt-1" role="alert">
+          ⚠️ WIP limit exceeded by {count - column.wipLimit}
+        </p>
+      )}
       <div className="flex-1 space-y-2 mt-2">{children}</div>
     </div>
   );
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useState, useRef, useMemo } from "react";
 import { DndContext, closestCorners } from "@dnd-kit/core";
 import { SortableContext, verticalListSortingStrategy } from "@dnd-kit/sortable";
 import { Bar } from "react-chartjs-2";
@@ -7,34 +7,66 @@ import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import UserSidebar from "./UserSidebar";
 import Column from "./Column";
+import BoardSettings from "./BoardSettings";
 import SortableItem from "./SortableItem";
 import notificationSound from "./notification.mp3";
+import { useTasks } from "../../hooks/useTasks";
+import { useBoard } from "../../hooks/useBoard";
+import { TASK_STATUSES, DEFAULT_STATUS, canTransition, getStatusLabel, isDone, countByStatus } from "../../utils/taskStatus";
+import { sortByRank } from "../../utils/taskOrder";
+
+// The column a task shows in: the one it was dropped in if this board has it,
+// otherwise the first one for its status. Undefined when no column shows the status.
+const columnFor = (task, columns) => {
+  const status = TASK_STATUSES.some(({ value }) => value === task.status) ? task.status : DEFAULT_STATUS;
+  return (
+    columns.find((column) => column.key === task.column && column.status === status) ||
+    columns.find((column) => column.status === status)
+  );
+};
+
+// Tailwind needs the full class names up front; wider boards wrap after five columns
+const GRID_COLUMNS = {
+  1: "xl:grid-cols-1",
+  2: "xl:grid-cols-2",
+  3: "xl:grid-cols-3",
+  4: "xl:grid-cols-4",
+  5: "xl:grid-cols-5",
+};
 
 const UserDashboard = () => {
-  const [tasks, setTasks] = useState({
-    "To Do": [],
-    "In Progress": [],
-    Completed: [],
-  });
+  const { tasks: allTasks, loading, moveTask } = useTasks();
+  const { columns, saveColumns, resetColumns } = useBoard();
+  const [showSettings, setShowSettings] = useState(false);
 
   const [notes, setNotes] = useState(localStorage.getItem("notes") || "");
   const audioRef = useRef(new Audio(notificationSound));
+  const deadlinesChecked = useRef(false);
 
   // 🔹 Ensure page starts from top when component loads
   useEffect(() => {
     window.scrollTo(0, 0);
   }, []);
 
+  // Tasks per board column key, in persisted rank order
+  const tasks = useMemo(() => {
+    const board = Object.fromEntries(columns.map((column) => [column.key, []]));
+    sortByRank(allTasks).forEach((task) => {
+      const column = columnFor(task, columns);
+      if (column) board[column.key].push(task);
+    });
+    return board;
+  }, [allTasks, columns]);
+
+  // Tasks whose status has no column on this board
+  const hiddenCount = allTasks.length - Object.values(tasks).reduce((sum, column) => sum + column.length, 0);
+
+  // 🔔 Deadline reminders once the first server load has settled
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const categorizedTasks = {
-      "To Do": storedTasks.filter((task) => task.progress <= 40),
-      "In Progress": storedTasks.filter((task) => task.progress > 40 && task.progress <= 80),
-      Completed: storedTasks.filter((task) => task.progress > 80),
-    };
-    setTasks(categorizedTasks);
-    checkDeadlines(storedTasks);
-  }, []);
+    if (loading || deadlinesChecked.current) return;
+    deadlinesChecked.current = true;
+    checkDeadlines(allTasks);
+  }, [loading, allTasks]);
 
   useEffect(() => {
     localStorage.setItem("notes", notes);
@@ -46,7 +78,7 @@ const UserDashboard = () => {
     tomorrow.setDate(tomorrow.getDate() + 1);
     const tomorrowStr = tomorrow.toISOString().split("T")[0];
 
-    tasks.forEach((task) => {
+    tasks.filter((task) => !isDone(task)).forEach((task) => {
       if (task.deadline === today) {
         showNotification(`🚨 Task Due Today: "${task.title}"`, "bg-red-500 text-white");
       } else if (task.deadline === tomorrowStr) {
@@ -65,41 +97,56 @@ const UserDashboard = () => {
     audioRef.current.play();
   };
 
+  const findColumn = (id) => columns.find((column) => tasks[column.key].some((task) => task._id === id));
+
   const handleDragEnd = (event) => {
     const { active, over } = event;
     if (!over || active.id === over.id) return;
 
-    const sourceColumn = Object.keys(tasks).find((column) =>
-      tasks[column].some((task) => task.id === active.id)
+    const source = findColumn(active.id);
+    // Dropped either on a card (use its column) or on an empty part of a column
+    const target = findColumn(over.id) || columns.find((column) => column.key === over.id);
+    if (!source || !target) return;
+
+    if (!canTransition(source.status, target.status)) {
+      toast.error(`Can't move a task from ${getStatusLabel(source.status)} to ${getStatusLabel(target.status)}`);
+      return;
+    }
+
+    // Final position within the target column; dropping on the column itself appends
+    const overIndex = tasks[target.key].findIndex((task) => task._id === over.id);
+    const others = tasks[target.key].filter((task) => task._id !== active.id);
+    const index = overIndex === -1 ? others.length : overIndex;
+
+    // WIP limits are a soft cap: warn, but let the move through
+    if (source !== target && target.wipLimit > 0 && tasks[target.key].length >= target.wipLimit) {
+      toast.warn(`"${target.title}" is over its WIP limit of ${target.wipLimit}`);
+    }
+
+    // Ranks order a whole status, which other columns may show too: land before
+    // the card now at that index, or right after the column's last card
+    const sameStatus = sortByRank(allTasks.filter((task) => task.status === target.status && task._id !== active.id));
+    const statusIndex = others[index]
+      ? sameStatus.indexOf(others[index])
+      : others.length
+        ? sameStatus.indexOf(others[others.length - 1]) + 1
+        : sameStatus.length;
+
+    moveTask(active.id, target.status, statusIndex, target.key).catch((err) =>
+      toast.error(err.message || "Failed to move task")
     );
-    const targetColumn = Object.keys(tasks).find((column) => tasks[column].some((task) => task.id === over.id)) || over.id;
-
-    if (!sourceColumn || !targetColumn || sourceColumn === targetColumn) return;
-
-    setTasks((prevTasks) => {
-      const updatedTasks = { ...prevTasks };
-      const movedTask = updatedTasks[sourceColumn].find((task) => task.id === active.id);
-      updatedTasks[sourceColumn] = updatedTasks[sourceColumn].filter((task) => task.id !== active.id);
-      updatedTasks[targetColumn] = [...(updatedTasks[targetColumn] || []), movedTask];
-
-      return updatedTasks;
-    });
-
-    localStorage.setItem("tasks", JSON.stringify([...tasks["To Do"], ...tasks["In Progress"], ...tasks["Completed"]]));
   };
 
+  const statusCounts = countByStatus(allTasks);
+
   // Task Analytics Chart Data (Bar Graph)
   const chartData = {
-    labels: ["To Do", "In Progress", "Completed"],
+    labels: TASK_STATUSES.map(({ label }) => label),
     datasets: [
       {
         label: "Number of Tasks",
-        data: [
-          tasks["To Do"].length,
-          tasks["In Progress"].length,
-          tasks.Completed.length,
-        ],
-        backgroundColor: ["#FF6384", "#FFCE56", "#36A2EB"],
+        data: TASK_STATUSES.map(({ value }) => statusCounts[value]),
+        backgroundColor: TASK_STATUSES.map(({ color }) => color),
       },
     ],
   };
@@ -114,14 +161,38 @@ const UserDashboard = () => {
         </h2>
         <ToastContainer position="top-right" autoClose={5000} hideProgressBar />
 
+        {/* Board Settings */}
+        <div className="flex justify-end mb-4">
+          <button
+            onClick={() => setShowSettings((open) => !open)}
+            className="px-4 py-2 bg-white text-gray-800 rounded-lg shadow hover:bg-gray-100 transition"
+            aria-expanded={showSettings}
+          >
+            ⚙️ Configure Board
+          </button>
+        </div>
+        {showSettings && (
+          <BoardSettings
+            columns={columns}
+            onSave={saveColumns}
+            onReset={resetColumns}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+
         {/* Kanban Board */}
         <div className="glassmorphism p-4 rounded-xl shadow-lg bg-gradient-to-br from-white/30 to-white/10 backdrop-blur-lg border border-white/20">
+          {hiddenCount > 0 && (
+            <p className="text-sm text-gray-600 mb-3">
+              {hiddenCount} {hiddenCount === 1 ? "task is" : "tasks are"} in a status without a column on this board.
+            </p>
+          )}
           <DndContext collisionDetection={closestCorners} onDragEnd={handleDragEnd}>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {Object.keys(tasks).map((columnKey) => (
-                <Column key={columnKey} title={columnKey} id={columnKey} className="w-[280px]">
-                  <SortableContext items={tasks[columnKey].map((task) => task._id)} strategy={verticalListSortingStrategy}>
-                    {tasks[columnKey].map((task) => (
+            <div className={`grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 ${GRID_COLUMNS[columns.length] || "xl:grid-cols-5"} gap-4`}>
+              {columns.map((column) => (
+                <Column key={column.key} id={column.key} column={column} count={tasks[column.key].length}>
+                  <SortableContext items={tasks[column.key].map((task) => task._id)} strategy={verticalListSortingStrategy}>
+                    {tasks[column.key].map((task) => (
                       <SortableItem key={task._id} id={task._id} task={task} />
                     ))}
                   </SortableContext>
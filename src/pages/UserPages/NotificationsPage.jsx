@@ -1,17 +1,18 @@
-import React, { useEffect, useState } from "react";
+import React, { useMemo } from "react";
 import UserSidebar from "./UserSidebar"; 
+import { useTasks } from "../../hooks/useTasks";
+import { isDone } from "../../utils/taskStatus";
 
 const NotificationsPage = () => {
-  const [notifications, setNotifications] = useState([]);
+  const { tasks } = useTasks();
 
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
+  const notifications = useMemo(() => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
     let newNotifications = [];
 
-    storedTasks.forEach((task) => {
+    tasks.filter((task) => !isDone(task)).forEach((task) => {
       const taskDate = new Date(task.deadline);
       taskDate.setHours(0, 0, 0, 0);
 
@@ -28,8 +29,8 @@ const NotificationsPage = () => {
       }
     });
 
-    setNotifications(newNotifications);
-  }, []);
+    return newNotifications;
+  }, [tasks]);
 
   return (
     <div className="flex min-h-screen bg-gray-100">
@@ -1,5 +1,8 @@
 import React, { useState } from "react";
 import UserSidebar from "./UserSidebar";
+import TwoFactorSettings from "../../components/auth/TwoFactorSettings";
+import ChangePasswordForm from "../../components/auth/ChangePasswordForm";
+import ChangeEmailForm from "../../components/auth/ChangeEmailForm";
 
 const ProfilePage = () => {
   // Load stored profile data
@@ -183,6 +186,18 @@ const ProfilePage = () => {
             >
               Save Profile
             </button>
+
+            <div className="mt-8 pt-6 border-t">
+              <ChangeEmailForm />
+            </div>
+
+            <div className="mt-8 pt-6 border-t">
+              <ChangePasswordForm />
+            </div>
+
+            <div className="mt-8 pt-6 border-t">
+              <TwoFactorSettings />
+            </div>
           </div>
         </div>
       </div>
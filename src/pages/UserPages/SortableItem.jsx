@@ -1,6 +1,7 @@
 import React from "react";
 import { useSortable } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
+import { assigneesOf, personName } from "../../utils/taskAssignment";
 
 const priorityColors = {
   High: "bg-red-100 hover:bg-red-300",
@@ -29,6 +30,7 @@ const SortableItem = ({ id, task }) => {
       <p className="font-semibold">{task.title}</p>
       <p className="text-sm text-gray-700">{task.description}</p> {/* Description instead of priority */}
       <p className="text-xs text-gray-600">Deadline: {task.deadline}</p>
+      <p className="text-xs text-gray-600">👤 {assigneesOf(task).map(personName).filter(Boolean).join(", ")}</p>
     </div>
   );
 };
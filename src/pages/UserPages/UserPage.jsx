@@ -1,69 +1,64 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useMemo } from "react";
 import UserSidebar from "./UserSidebar";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import AssigneePicker from "../../components/tasks/AssigneePicker";
+import ProgressSlider from "../../components/tasks/ProgressSlider";
+import { useAuth } from "../../contexts/AuthContext";
+import { useTasks } from "../../hooks/useTasks";
+import { TASK_STATUSES, DEFAULT_STATUS, canTransition } from "../../utils/taskStatus";
+import { TASK_VIEWS, assigneesOf, filterByView, isCreatedBy, personName } from "../../utils/taskAssignment";
+
+const EMPTY_TASK = { title: "", description: "", priority: "Medium", deadline: "", progress: 0, assignees: [] };
 
 const UserPage = () => {
-  const [tasks, setTasks] = useState([]);
-  const [loggedInUser, setLoggedInUser] = useState(""); // ✅ Store logged-in user
-  const [newTask, setNewTask] = useState({
-    title: "",
-    description: "",
-    priority: "Medium",
-    deadline: "",
-    progress: 0,
-  });
-
-  useEffect(() => {
-    // ✅ Fetch logged-in user from localStorage
-    const storedUser = JSON.parse(localStorage.getItem("loggedInUser"));
-    setLoggedInUser(storedUser?.name || "Unknown User");
-
-    // ✅ Fetch stored tasks
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
-  }, []);
+  const { tasks: allTasks, addTask, updateTask, removeTask } = useTasks();
+  const { user, can } = useAuth();
+  const [view, setView] = useState("all");
+  const [newTask, setNewTask] = useState(EMPTY_TASK);
+
+  const tasks = useMemo(() => filterByView(allTasks, view, user?.id), [allTasks, view, user]);
 
   // Handle Task Creation
-  const handleCreateTask = (e) => {
+  const handleCreateTask = async (e) => {
     e.preventDefault();
     if (!newTask.title.trim() || !newTask.description.trim()) return;
 
-    const taskId = Date.now().toString();
-    
-    // ✅ Assign task to logged-in user
-    const newTaskItem = { 
-      _id: taskId, 
-      ...newTask, 
-      assignedTo: loggedInUser // ✅ Store assigned user
-    };
-
-    const updatedTasks = [...tasks, newTaskItem];
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+    // The server assigns the task to its creator when nobody was picked
+    const newTaskItem = { ...newTask };
 
-    toast.success("Task added successfully!", { icon: "✅" });
+    setNewTask(EMPTY_TASK);
 
-    setNewTask({ title: "", description: "", priority: "Medium", deadline: "", progress: 0 });
+    try {
+      await addTask(newTaskItem);
+      toast.success("Task added successfully!", { icon: "✅" });
+    } catch (err) {
+      toast.error(err.message || "Failed to add task");
+    }
   };
 
   // Handle Task Deletion
-  const handleDeleteTask = (taskId) => {
-    const updatedTasks = tasks.filter((task) => task._id !== taskId);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
-
-    toast.error("Task removed successfully!", { icon: "🗑️" });
+  const handleDeleteTask = async (taskId) => {
+    try {
+      await removeTask(taskId);
+      toast.error("Task removed successfully!", { icon: "🗑️" });
+    } catch (err) {
+      toast.error(err.message || "Failed to remove task");
+    }
   };
 
   // Handle Progress Update
   const updateProgress = (taskId, progress) => {
-    const updatedTasks = tasks.map((task) =>
-      task._id === taskId ? { ...task, progress: parseInt(progress) } : task
+    updateTask(taskId, { progress }).catch((err) =>
+      toast.error(err.message || "Failed to update progress")
     );
+  };
 
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  // Handle Status Change
+  const updateStatus = (taskId, status) => {
+    updateTask(taskId, { status }).catch((err) =>
+      toast.error(err.message || "Failed to update status")
+    );
   };
 
   // Function to get priority color
@@ -140,6 +135,15 @@ const UserPage = () => {
               </div>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Assign To</label>
+              <AssigneePicker
+                value={newTask.assignees}
+                onChange={(assignees) => setNewTask({ ...newTask, assignees })}
+                currentUserId={user?.id}
+              />
+            </div>
+
             <button
               type="submit"
               className="w-full bg-blue-600 text-white p-3 rounded-lg font-semibold text-lg hover:bg-blue-700 transition-all"
@@ -149,10 +153,29 @@ const UserPage = () => {
           </form>
         </div>
 
+        {/* Task Views */}
+        <div className="flex gap-2 mb-4" role="tablist" aria-label="Task views">
+          {TASK_VIEWS.map(({ value, label }) => (
+            <button
+              key={value}
+              role="tab"
+              aria-selected={view === value}
+              onClick={() => setView(value)}
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                view === value ? "bg-blue-600 text-white" : "bg-white text-gray-700 border hover:bg-gray-50"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
         {/* Task List */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {tasks.length === 0 ? (
-            <p className="text-gray-600">No tasks created yet. Start by adding a task!</p>
+            <p className="text-gray-600">
+              {view === "all" ? "No tasks created yet. Start by adding a task!" : "No tasks in this view."}
+            </p>
           ) : (
             tasks.map((task) => (
               <div key={task._id} className="bg-white shadow-md p-4 rounded-md border-l-4 border-blue-400">
@@ -164,34 +187,49 @@ const UserPage = () => {
                 </span>
 
                 <p className="text-sm text-gray-700 mt-1">
-                  <span className="font-semibold">Assigned To:</span> {task.assignedTo}
+                  <span className="font-semibold">Assigned To:</span>{" "}
+                  {assigneesOf(task).map(personName).filter(Boolean).join(", ")}
+                </p>
+
+                <p className="text-sm text-gray-700 mt-1">
+                  <span className="font-semibold">Created By:</span> {personName(task.owner)}
                 </p>
 
                 <p className="text-sm text-gray-700 mt-1">
                   <span className="font-semibold">Deadline:</span> {task.deadline}
                 </p>
 
+                {/* Task Status */}
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700">Status:</label>
+                  <select
+                    className="w-full mt-1 p-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+                    value={task.status || DEFAULT_STATUS}
+                    onChange={(e) => updateStatus(task._id, e.target.value)}
+                  >
+                    {TASK_STATUSES.filter(({ value }) => canTransition(task.status || DEFAULT_STATUS, value)).map(
+                      ({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                      )
+                    )}
+                  </select>
+                </div>
+
                 {/* Task Progress */}
                 <div className="mt-4">
                   <label className="block text-sm font-medium text-gray-700">Progress:</label>
-                  <input
-                    type="range"
-                    min="0"
-                    max="100"
-                    value={task.progress}
-                    onChange={(e) => updateProgress(task._id, e.target.value)}
-                    className="w-full mt-2 accent-blue-600"
-                  />
-                  <span className="text-sm font-medium text-gray-700">{task.progress}% Completed</span>
+                  <ProgressSlider value={task.progress} onSave={(progress) => updateProgress(task._id, progress)} />
                 </div>
 
-                {/* Delete Button */}
-                <button
-                  onClick={() => handleDeleteTask(task.id)}
-                  className="mt-4 w-full bg-red-600 text-white p-2 rounded-lg font-semibold hover:bg-red-700 transition-all"
-                >
-                  🗑️ Delete Task
-                </button>
+                {/* Delete Button, for the task's creator */}
+                {(isCreatedBy(task, user?.id) || can("tasks:write:any")) && (
+                  <button
+                    onClick={() => handleDeleteTask(task._id)}
+                    className="mt-4 w-full bg-red-600 text-white p-2 rounded-lg font-semibold hover:bg-red-700 transition-all"
+                  >
+                    🗑️ Delete Task
+                  </button>
+                )}
               </div>
             ))
           )}
@@ -0,0 +1,41 @@
+// Mirrors the rules in server/src/utils/passwordPolicy.js. The policy values
+// themselves come from GET /api/auth/password-policy; these defaults only
+// cover the moment before it answers.
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSymbol: true,
+  historySize: 5,
+};
+
+/**
+ * @param {Object} policy - Password policy from the server
+ * @returns {{ label: string, test: Function }[]} The rules a password must meet
+ */
+export const passwordRules = (policy) =>
+  [
+    { label: `At least ${policy.minLength} characters`, test: (p) => p.length >= policy.minLength },
+    { label: `At most ${policy.maxLength} characters`, test: (p) => p.length <= policy.maxLength },
+    policy.requireUppercase && { label: "An uppercase letter", test: (p) => /[A-Z]/.test(p) },
+    policy.requireLowercase && { label: "A lowercase letter", test: (p) => /[a-z]/.test(p) },
+    policy.requireDigit && { label: "A number", test: (p) => /[0-9]/.test(p) },
+    policy.requireSymbol && { label: "A symbol", test: (p) => /[^A-Za-z0-9]/.test(p) },
+  ].filter(Boolean);
+
+/**
+ * @param {string} password
+ * @param {Object} policy - Password policy from the server
+ * @returns {{ label: string, met: boolean }[]}
+ */
+export const checkPassword = (password, policy) =>
+  passwordRules(policy).map(({ label, test }) => ({ label, met: test(password) }));
+
+/**
+ * @param {string} password
+ * @param {Object} policy - Password policy from the server
+ * @returns {boolean} Whether the server will accept the password
+ */
+export const meetsPasswordPolicy = (password, policy) => checkPassword(password, policy).every(({ met }) => met);
@@ -0,0 +1,29 @@
+// Mirrors the role names in server/src/utils/permissions.js. What each role may
+// do is not duplicated here: the server sends the current user's permissions
+// with /api/auth/me and the UI only ever checks those.
+export const ROLE_OPTIONS = [
+  { value: "user", label: "User" },
+  { value: "manager", label: "Manager" },
+  { value: "admin", label: "Admin" },
+  { value: "super_admin", label: "Super Admin" },
+];
+
+export const getRoleLabel = (role) => ROLE_OPTIONS.find((option) => option.value === role)?.label || role;
+
+/**
+ * @param {Object|null} user - User from /api/auth/me
+ * @param {string} permission - e.g. "users:delete"
+ * @returns {boolean}
+ */
+export const userCan = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+/**
+ * Landing page after sign-in: the admin panel for anyone allowed in, otherwise the user dashboard.
+ * Admins who still have to turn on 2FA are sent to their profile, where it is set up.
+ * @param {Object|null} user - User from /api/auth/me
+ * @returns {string}
+ */
+export const homePathFor = (user) => {
+  if (user?.twoFactorSetupRequired) return "/user/profile";
+  return userCan(user, "admin:access") ? "/admin/dashboard" : "/user/dashboard";
+};
@@ -0,0 +1,36 @@
+// Helpers for the owner/assignees fields on a task. The server sends both
+// populated ({ _id, fullName, email }), but optimistic placeholders only hold ids.
+
+export const TASK_VIEWS = [
+  { value: "all", label: "All Tasks" },
+  { value: "mine", label: "My Tasks" },
+  { value: "delegated", label: "Assigned by Me" },
+];
+
+const idOf = (person) => (person && typeof person === "object" ? person._id : person);
+
+export const personName = (person) =>
+  person && typeof person === "object" ? person.fullName || person.email : "";
+
+// Tasks created before assignment existed belong to their creator alone
+export const assigneesOf = (task) => (task.assignees?.length ? task.assignees : [task.owner].filter(Boolean));
+
+export const isAssignedTo = (task, userId) => assigneesOf(task).some((person) => idOf(person) === userId);
+
+export const isCreatedBy = (task, userId) => idOf(task.owner) === userId;
+
+// Tasks the user created for someone other than themselves
+export const isAssignedBy = (task, userId) =>
+  isCreatedBy(task, userId) && assigneesOf(task).some((person) => idOf(person) !== userId);
+
+/**
+ * @param {Object[]} tasks - Tasks from the TasksProvider
+ * @param {string} view - One of TASK_VIEWS
+ * @param {string} userId - Signed-in user's id
+ * @returns {Object[]}
+ */
+export const filterByView = (tasks, view, userId) => {
+  if (view === "mine") return tasks.filter((task) => isAssignedTo(task, userId));
+  if (view === "delegated") return tasks.filter((task) => isAssignedBy(task, userId));
+  return tasks;
+};
@@ -0,0 +1,5 @@
+// Orders tasks the way the board shows them: by rank, then creation time
+export const sortByRank = (tasks) =>
+  [...tasks].sort(
+    (a, b) => (a.rank ?? 0) - (b.rank ?? 0) || String(a.createdAt).localeCompare(String(b.createdAt))
+  );
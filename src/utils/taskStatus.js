@@ -0,0 +1,35 @@
+// Canonical task workflow. Keep in sync with server/src/utils/taskStatus.js.
+export const TASK_STATUSES = [
+  { value: "todo", label: "To Do", color: "#FF6384" },
+  { value: "in_progress", label: "In Progress", color: "#FFCE56" },
+  { value: "blocked", label: "Blocked", color: "#9CA3AF" },
+  { value: "review", label: "Review", color: "#A78BFA" },
+  { value: "completed", label: "Completed", color: "#36A2EB" },
+];
+
+export const DEFAULT_STATUS = "todo";
+export const DONE_STATUS = "completed";
+
+// Allowed moves out of each status
+export const STATUS_TRANSITIONS = {
+  todo: ["in_progress", "blocked", "completed"],
+  in_progress: ["todo", "blocked", "review", "completed"],
+  blocked: ["todo", "in_progress"],
+  review: ["in_progress", "completed"],
+  completed: ["todo", "in_progress"],
+};
+
+export const getStatusLabel = (status) =>
+  TASK_STATUSES.find((s) => s.value === status)?.label || "To Do";
+
+export const canTransition = (from, to) =>
+  from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// The one definition of "done" used by every view, chart and filter
+export const isDone = (task) => task.status === DONE_STATUS;
+
+export const countByStatus = (tasks) =>
+  TASK_STATUSES.reduce((counts, { value }) => {
+    counts[value] = tasks.filter((task) => (task.status || DEFAULT_STATUS) === value).length;
+    return counts;
+  }, {});
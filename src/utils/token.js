@@ -0,0 +1,24 @@
+/**
+ * Reads the expiry of a JWT without verifying it. The server is still the
+ * only authority on validity; this is just for scheduling renewals.
+ * @param {string} token - Encoded JWT
+ * @returns {number|null} Expiry as a millisecond timestamp, or null if unreadable
+ */
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {string} token - Encoded JWT
+ * @param {number} [marginMs=0] - Treat the token as expired this long before it actually is
+ * @returns {boolean} Whether the token is missing, unreadable or expired
+ */
+export const isTokenExpired = (token, marginMs = 0) => {
+  const expiry = token ? getTokenExpiry(token) : null;
+  return !expiry || expiry - marginMs <= Date.now();
+};
@@ -19,6 +19,6 @@ export default defineConfig({
     }
   },
   define: {
-    'process.env.API_URL': JSON.stringify(process.env.API_URL || 'http://localhost:5000'),
+    'import.meta.env.API_URL': JSON.stringify(process.env.API_URL || 'http://localhost:5000'),
   }
 })
\ No newline at end of file